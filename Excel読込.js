@@ -0,0 +1,418 @@
+/**
+ * Excelファイル (.xlsx/.xlsm) を直接解析してシートの値を取得する関数群
+ * Drive APIでの変換を行わず、ZIPを展開してOOXMLを読み取ります。
+ */
+
+const XLSX_EXTENSIONS = [".xlsx", ".xlsm"];
+
+// 組み込みの日付・時刻書式ID (ECMA-376 18.8.30)
+const XLSX_BUILTIN_DATE_FORMAT_IDS = [
+  14, 15, 16, 17, 18, 19, 20, 21, 22, 27, 28, 29, 30, 31, 32, 33, 34, 35, 36,
+  45, 46, 47, 50, 51, 52, 53, 54, 55, 56, 57, 58,
+];
+
+/**
+ * ファイルから対象シートの値を取得する関数
+ * .xlsx/.xlsm は直接解析し、それ以外 (.xls) はDrive APIの変換で読み取る
+ * @param {File} file - 対象のExcelファイル
+ * @param {string} targetSheetName - 対象のシート名
+ * @returns {Array<Array<*>>|null} - シートの値 (対象シートがない場合は null)
+ */
+function readSheetValues(file, targetSheetName) {
+  const fileName = file.getName().toLowerCase();
+  if (XLSX_EXTENSIONS.some((ext) => fileName.endsWith(ext))) {
+    return readXlsxSheetValues(file.getBlob(), targetSheetName);
+  }
+  return readSheetValuesByConversion(file, targetSheetName);
+}
+
+/**
+ * Drive APIでGoogleスプレッドシートに変換して値を取得する関数 (旧形式 .xls 用)
+ * @param {File} file - 対象のExcelファイル
+ * @param {string} targetSheetName - 対象のシート名
+ * @returns {Array<Array<*>>|null} - シートの値 (対象シートがない場合は null)
+ */
+function readSheetValuesByConversion(file, targetSheetName) {
+  let convertedFileId = null;
+  try {
+    const blob = file.getBlob();
+    const uploadResponse = UrlFetchApp.fetch(
+      "https://www.googleapis.com/upload/drive/v2/files?uploadType=multipart&convert=true",
+      {
+        method: "POST",
+        headers: { Authorization: "Bearer " + ScriptApp.getOAuthToken() },
+        contentType: "application/vnd.ms-excel",
+        payload: blob.getBytes(),
+      }
+    );
+    convertedFileId = JSON.parse(uploadResponse.getContentText()).id;
+    const convertedSheet = SpreadsheetApp.openById(convertedFileId);
+    const sheet = convertedSheet.getSheetByName(targetSheetName);
+    if (!sheet) return null;
+    return sheet.getDataRange().getValues();
+  } finally {
+    if (convertedFileId) {
+      try {
+        DriveApp.getFileById(convertedFileId).setTrashed(true);
+      } catch (e) {
+        console.error(
+          `一時ファイルの削除に失敗: ${convertedFileId}, error: ${e.toString()}`
+        );
+      }
+    }
+  }
+}
+
+/**
+ * .xlsx/.xlsm のBlobを展開し、指定シートの値を2次元配列で取得する関数
+ * 値の型は Range.getValues() に合わせる (日付書式のセルは Date、空セルは "")
+ * @param {Blob} blob - Excelファイルのブロブ
+ * @param {string} targetSheetName - 対象のシート名
+ * @returns {Array<Array<*>>|null} - シートの値 (対象シートがない場合は null)
+ */
+function readXlsxSheetValues(blob, targetSheetName) {
+  const entries = unzipXlsx(blob);
+  const workbookXml = entries["xl/workbook.xml"];
+  if (!workbookXml) throw new Error("xl/workbook.xml が見つかりません");
+
+  const sheetPath = findXlsxSheetPath(
+    workbookXml,
+    entries["xl/_rels/workbook.xml.rels"] || "",
+    targetSheetName
+  );
+  if (!sheetPath || !entries[sheetPath]) return null;
+
+  const date1904 = /<workbookPr\b[^>]*\bdate1904\s*=\s*["'](1|true)["']/.test(
+    workbookXml
+  );
+  const sharedStrings = parseXlsxSharedStrings(
+    entries["xl/sharedStrings.xml"] || ""
+  );
+  const dateStyleIndexes = parseXlsxDateStyleIndexes(
+    entries["xl/styles.xml"] || ""
+  );
+
+  return parseXlsxWorksheet(entries[sheetPath], {
+    sharedStrings,
+    dateStyleIndexes,
+    date1904,
+  });
+}
+
+/**
+ * ZIPを展開し、XMLエントリをパスとテキストの対応表にする関数
+ * @param {Blob} blob - ZIP形式のブロブ
+ * @returns {object} - { "xl/workbook.xml": "<?xml ...", ... }
+ */
+function unzipXlsx(blob) {
+  const entries = {};
+  const zipBlob = blob.copyBlob().setContentType("application/zip");
+  Utilities.unzip(zipBlob).forEach((entry) => {
+    const name = entry.getName();
+    if (/\.(xml|rels)$/i.test(name)) {
+      entries[name.replace(/^\//, "")] = entry.getDataAsString("UTF-8");
+    }
+  });
+  return entries;
+}
+
+/**
+ * workbook.xml とリレーションからシートのXMLパスを求める関数
+ * @param {string} workbookXml - workbook.xml の内容
+ * @param {string} relsXml - workbook.xml.rels の内容
+ * @param {string} targetSheetName - 対象のシート名
+ * @returns {string|null} - ZIP内のパス (例: xl/worksheets/sheet1.xml)
+ */
+function findXlsxSheetPath(workbookXml, relsXml, targetSheetName) {
+  let relationId = null;
+  const sheetRegex = /<sheet\b([^>]*?)\/?>/g;
+  let match;
+  while ((match = sheetRegex.exec(workbookXml)) !== null) {
+    const attrs = match[1];
+    if (decodeXmlText(getXmlAttribute(attrs, "name")) === targetSheetName) {
+      relationId = getXmlAttribute(attrs, "r:id");
+      break;
+    }
+  }
+  if (!relationId) return null;
+
+  const relRegex = /<Relationship\b([^>]*?)\/?>/g;
+  while ((match = relRegex.exec(relsXml)) !== null) {
+    const attrs = match[1];
+    if (getXmlAttribute(attrs, "Id") !== relationId) continue;
+    const target = getXmlAttribute(attrs, "Target");
+    return target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+  }
+  return null;
+}
+
+/**
+ * 共有文字列テーブルを読み取る関数
+ * ふりがな (rPh) は値に含めない
+ * @param {string} xml - sharedStrings.xml の内容
+ * @returns {Array<string>} - 共有文字列の配列
+ */
+function parseXlsxSharedStrings(xml) {
+  const strings = [];
+  const siRegex = /<si\b[^>]*?(?:\/>|>([\s\S]*?)<\/si>)/g;
+  let match;
+  while ((match = siRegex.exec(xml)) !== null) {
+    strings.push(extractXlsxText(match[1] || ""));
+  }
+  return strings;
+}
+
+/**
+ * 日付・時刻書式が設定されているセルスタイルのインデックスを求める関数
+ * @param {string} xml - styles.xml の内容
+ * @returns {Set<number>} - 日付書式のスタイルインデックス
+ */
+function parseXlsxDateStyleIndexes(xml) {
+  const dateFormatIds = new Set(XLSX_BUILTIN_DATE_FORMAT_IDS);
+  const numFmtRegex = /<numFmt\b([^>]*?)\/?>/g;
+  let match;
+  while ((match = numFmtRegex.exec(xml)) !== null) {
+    const id = parseInt(getXmlAttribute(match[1], "numFmtId"), 10);
+    const formatCode = decodeXmlText(getXmlAttribute(match[1], "formatCode"));
+    if (isDateFormatCode(formatCode)) dateFormatIds.add(id);
+  }
+
+  const dateStyleIndexes = new Set();
+  const cellXfsMatch = xml.match(/<cellXfs\b[^>]*>([\s\S]*?)<\/cellXfs>/);
+  if (!cellXfsMatch) return dateStyleIndexes;
+
+  const xfRegex = /<xf\b([^>]*?)(?:\/>|>[\s\S]*?<\/xf>)/g;
+  let index = 0;
+  while ((match = xfRegex.exec(cellXfsMatch[1])) !== null) {
+    const numFmtId = parseInt(getXmlAttribute(match[1], "numFmtId"), 10);
+    if (dateFormatIds.has(numFmtId)) dateStyleIndexes.add(index);
+    index++;
+  }
+  return dateStyleIndexes;
+}
+
+/**
+ * 書式コードが日付・時刻を表すか判定する関数
+ * @param {string} formatCode - 書式コード (例: yyyy/mm/dd)
+ * @returns {boolean} - 日付・時刻書式の場合 true
+ */
+function isDateFormatCode(formatCode) {
+  const code = formatCode
+    .split(";")[0]
+    .replace(/"[^"]*"/g, "") // 文字列リテラル
+    .replace(/\[[^\]]*\]/g, "") // 色・ロケール指定
+    .replace(/\\./g, ""); // エスケープ文字
+  return /[ymdhsg]/i.test(code.replace(/General/gi, ""));
+}
+
+/**
+ * ワークシートXMLを2次元配列に変換する関数
+ * @param {string} xml - ワークシートXMLの内容
+ * @param {object} context - { sharedStrings, dateStyleIndexes, date1904 }
+ * @returns {Array<Array<*>>} - シートの値
+ */
+function parseXlsxWorksheet(xml, context) {
+  const rows = [];
+  let lastColumn = 0;
+  let nextRowIndex = 0;
+
+  const rowRegex = /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g;
+  let rowMatch;
+  while ((rowMatch = rowRegex.exec(xml)) !== null) {
+    const rowNumber = parseInt(getXmlAttribute(rowMatch[1], "r"), 10);
+    const rowIndex = rowNumber ? rowNumber - 1 : nextRowIndex;
+    nextRowIndex = rowIndex + 1;
+
+    const row = [];
+    let nextColumnIndex = 0;
+    const cellRegex = /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g;
+    let cellMatch;
+    while ((cellMatch = cellRegex.exec(rowMatch[2] || "")) !== null) {
+      const reference = getXmlAttribute(cellMatch[1], "r");
+      const columnIndex = reference
+        ? convertColumnLettersToIndex(reference.replace(/\d+$/, ""))
+        : nextColumnIndex;
+      nextColumnIndex = columnIndex + 1;
+
+      const value = parseXlsxCellValue(
+        cellMatch[1],
+        cellMatch[2] || "",
+        context
+      );
+      if (value === "") continue;
+      row[columnIndex] = value;
+      lastColumn = Math.max(lastColumn, columnIndex + 1);
+    }
+    if (row.length > 0) rows[rowIndex] = row;
+  }
+
+  // Range.getValues() と同様に矩形の配列にする
+  const values = [];
+  for (let i = 0; i < rows.length; i++) {
+    const row = rows[i] || [];
+    const filledRow = [];
+    for (let j = 0; j < lastColumn; j++) {
+      filledRow.push(row[j] === undefined ? "" : row[j]);
+    }
+    values.push(filledRow);
+  }
+  return values;
+}
+
+/**
+ * セル1つ分の値を変換する関数
+ * @param {string} attrs - c要素の属性文字列
+ * @param {string} body - c要素の内容
+ * @param {object} context - { sharedStrings, dateStyleIndexes, date1904 }
+ * @returns {*} - セルの値 (文字列、数値、真偽値、Date、空の場合は "")
+ */
+function parseXlsxCellValue(attrs, body, context) {
+  const type = getXmlAttribute(attrs, "t") || "n";
+  if (type === "inlineStr") {
+    const inlineMatch = body.match(/<is\b[^>]*>([\s\S]*?)<\/is>/);
+    return inlineMatch ? extractXlsxText(inlineMatch[1]) : "";
+  }
+
+  const valueMatch = body.match(/<v\b[^>]*>([\s\S]*?)<\/v>/);
+  if (!valueMatch) return "";
+  const rawValue = valueMatch[1];
+
+  switch (type) {
+    case "s":
+      return context.sharedStrings[parseInt(rawValue, 10)] || "";
+    case "b":
+      return rawValue === "1";
+    case "str":
+    case "e":
+      return decodeXmlText(rawValue);
+    case "d": {
+      // ISO 8601 形式の日付
+      const date = convertIsoDateToDate(decodeXmlText(rawValue));
+      return date || decodeXmlText(rawValue);
+    }
+    default: {
+      const number = parseFloat(rawValue);
+      if (isNaN(number)) return decodeXmlText(rawValue);
+      const styleIndex = parseInt(getXmlAttribute(attrs, "s"), 10);
+      if (context.dateStyleIndexes.has(styleIndex)) {
+        return convertExcelSerialToDate(number, context.date1904);
+      }
+      return number;
+    }
+  }
+}
+
+/**
+ * Excelのシリアル値を日付に変換する関数
+ * スクリプトのタイムゾーンでの日時として扱う
+ * @param {number} serial - シリアル値
+ * @param {boolean} date1904 - 1904年基準の場合 true
+ * @returns {Date} - 変換された日付
+ */
+function convertExcelSerialToDate(serial, date1904) {
+  const MS_PER_DAY = 24 * 60 * 60 * 1000;
+  const DAYS_1900_TO_1904 = 1462;
+  const epoch = Date.UTC(1899, 11, 30);
+  const days = date1904 ? serial + DAYS_1900_TO_1904 : serial;
+  const utc = new Date(Math.round((epoch + days * MS_PER_DAY) / 1000) * 1000);
+  return new Date(
+    utc.getUTCFullYear(),
+    utc.getUTCMonth(),
+    utc.getUTCDate(),
+    utc.getUTCHours(),
+    utc.getUTCMinutes(),
+    utc.getUTCSeconds()
+  );
+}
+
+/**
+ * ISO 8601 形式の日付文字列を日付に変換する関数
+ * シリアル値 (convertExcelSerialToDate) と同じ値になるように、スクリプトのタイムゾーンでの日時として扱う
+ * (Excelの日付はタイムゾーンを持たないため、末尾の Z や時差は無視する)
+ * @param {string} text - 日付文字列 (yyyy-mm-dd、yyyy-mm-ddThh:mm:ss、Thh:mm:ss など)
+ * @returns {Date|null} - 変換された日付 (形式が正しくない場合は null)
+ */
+function convertIsoDateToDate(text) {
+  const match = String(text)
+    .trim()
+    .match(
+      /^(?:(\d{4})-(\d{2})-(\d{2}))?(?:T(\d{2}):(\d{2})(?::(\d{2}(?:\.\d+)?))?)?(?:Z|[+-]\d{2}:?\d{2})?$/
+    );
+  if (!match || (!match[1] && !match[4])) return null;
+
+  // 時刻だけの場合は、シリアル値の 0 と同じ 1899/12/30 の時刻にする
+  const [, year = 1899, month = 12, day = 30, hours = 0, minutes = 0] = match;
+  const seconds = Math.round(Number(match[6] || 0));
+  const date = new Date(
+    Number(year),
+    Number(month) - 1,
+    Number(day),
+    Number(hours),
+    Number(minutes),
+    seconds
+  );
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * si/is 要素から表示文字列を取り出す関数 (ふりがなは除外)
+ * @param {string} xml - si/is 要素の内容
+ * @returns {string} - 文字列
+ */
+function extractXlsxText(xml) {
+  const body = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "");
+  const textRegex = /<t\b[^>]*?(?:\/>|>([\s\S]*?)<\/t>)/g;
+  let text = "";
+  let match;
+  while ((match = textRegex.exec(body)) !== null) {
+    text += decodeXmlText(match[1] || "");
+  }
+  return text;
+}
+
+/**
+ * 属性文字列から指定した属性の値を取得する関数
+ * @param {string} attrs - 属性文字列
+ * @param {string} name - 属性名
+ * @returns {string} - 属性値 (存在しない場合は空文字列)
+ */
+function getXmlAttribute(attrs, name) {
+  const match = attrs.match(
+    new RegExp(`(?:^|\\s)${name}\\s*=\\s*(["'])([\\s\\S]*?)\\1`)
+  );
+  return match ? match[2] : "";
+}
+
+/**
+ * XMLの実体参照とOOXMLのエスケープ (_xHHHH_) を復元する関数
+ * @param {string} text - エスケープされた文字列
+ * @returns {string} - 復元された文字列
+ */
+function decodeXmlText(text) {
+  return text
+    .replace(/_x([0-9A-Fa-f]{4})_/g, (_, hex) =>
+      String.fromCharCode(parseInt(hex, 16))
+    )
+    .replace(/&#x([0-9A-Fa-f]+);/g, (_, hex) =>
+      String.fromCodePoint(parseInt(hex, 16))
+    )
+    .replace(/&#(\d+);/g, (_, dec) => String.fromCodePoint(parseInt(dec, 10)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * 列名 (A, B, ..., AA) を0始まりの列インデックスに変換する関数
+ * @param {string} letters - 列名
+ * @returns {number} - 列インデックス
+ */
+function convertColumnLettersToIndex(letters) {
+  let index = 0;
+  for (let i = 0; i < letters.length; i++) {
+    index = index * 26 + (letters.toUpperCase().charCodeAt(i) - 64);
+  }
+  return index - 1;
+}
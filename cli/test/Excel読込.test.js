@@ -0,0 +1,34 @@
+/**
+ * Excelの日付の読み込みのテスト
+ * ISO 8601 形式 (t="d") の日付とシリアル値の日付が同じ値になることを確認します。
+ */
+
+const assert = require("node:assert");
+const { test } = require("node:test");
+const { loadScriptContext } = require("../ローカル環境");
+const { SETTINGS } = require("./フィクスチャ");
+
+test("ISO 8601 形式の日付はシリアル値と同じ日時になる", () => {
+  const script = loadScriptContext(SETTINGS);
+  [
+    ["2025-01-15", 45672],
+    ["2025-01-15T00:00:00", 45672],
+    ["2025-01-15T00:00:00Z", 45672],
+    ["2025-01-15T12:30:00", 45672.520833333336],
+    ["2025-01-15T12:30:00.000+09:00", 45672.520833333336],
+    ["T06:00:00", 0.25],
+  ].forEach(([text, serial]) => {
+    assert.strictEqual(
+      script.convertIsoDateToDate(text).getTime(),
+      script.convertExcelSerialToDate(serial, false).getTime(),
+      text
+    );
+  });
+});
+
+test("ISO 8601 形式でない文字列は変換しない", () => {
+  const script = loadScriptContext(SETTINGS);
+  ["", "2025/01/15", "令和7年1月15日"].forEach((text) =>
+    assert.strictEqual(script.convertIsoDateToDate(text), null, text)
+  );
+});
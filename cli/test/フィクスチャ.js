@@ -0,0 +1,103 @@
+/**
+ * テスト用の案件フォルダ (部品リストの .xlsx と設定JSON) を一時フォルダに作成する関数群
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { writeXlsxFile } = require("../ファイル出力");
+
+const JNUMBER = "J0000000001";
+const TARGET_SHEET_NAME = "部品リスト";
+const SOURCE_HEADER_ROW = [
+  "No",
+  "Unit",
+  "部番",
+  "在庫",
+  "型式",
+  "数量",
+  "処理",
+  "手配先",
+  "L日",
+  "M日",
+];
+
+// 部品リスト (ファイル名 → シート名とデータ行)
+const PART_LIST_FILES = {
+  // 新しい版 (20250201) に置き換えられる旧版
+  [`20250101_${JNUMBER}_購入_03unit.xlsx`]: {
+    sheetName: TARGET_SHEET_NAME,
+    rows: [
+      ["", 3, 2, "", "B-1", 4, "", "MISUMI", "", ""],
+      ["", 3, 1, "", "A-1", 2, "", "MISUMI", "", ""],
+    ],
+  },
+  [`20250201_${JNUMBER}_購入_03unit.xlsx`]: {
+    sheetName: TARGET_SHEET_NAME,
+    rows: [
+      ["", 3, 1, "", "A-2", 3, "", "MISUMI", "", ""],
+      ["", 3, 5, "社内在庫なし", "X", 1, "", "", "", ""], // 既定の行ルールで除外
+    ],
+  },
+  [`20250101_${JNUMBER}_製作_01unit.xlsx`]: {
+    sheetName: TARGET_SHEET_NAME,
+    rows: [["", 1, 1, "", "P,1", 1, "塗装", "自社", "", ""]],
+  },
+  // 対象シートがないため使用しない
+  [`bad_${JNUMBER}_製作_02unit.xlsx`]: { sheetName: "別シート", rows: [] },
+};
+
+// 設定シートと同じキーと値
+const SETTINGS = {
+  TARGET_SHEET_NAME,
+  TEMPLATE_SPREADSHEET_ID: "template",
+  OUTPUT_FOLDER_ID: "output",
+  COLUMN_NAME_A: "発注",
+  COLUMN_NAME_B: "受入",
+  COLUMN_NAME_C: "No",
+  COLUMN_NAME_D: "カテゴリ",
+  COLUMN_NAME_E: "Unit",
+  COLUMN_NAME_F: "部番",
+  COLUMN_NAME_H: "型式",
+  COLUMN_NAME_I: "数量",
+  COLUMN_NAME_K: "手配先",
+  MULTI_JNUMBER_MODE: "merge",
+};
+
+/**
+ * テスト用の案件フォルダと設定JSONを作成する関数
+ * @returns {object} - 作業フォルダ、案件フォルダ、設定JSONのパスと設定 ({ workDir, projectPath, settingsPath, settings })
+ */
+function createFixtureProject() {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), "部品リスト結合-"));
+  const projectPath = path.join(workDir, `案件${JNUMBER}`);
+  const partListPath = path.join(projectPath, "部品リスト");
+  fs.mkdirSync(partListPath, { recursive: true });
+  Object.keys(PART_LIST_FILES).forEach((fileName) => {
+    const { sheetName, rows } = PART_LIST_FILES[fileName];
+    writeXlsxFile(
+      path.join(partListPath, fileName),
+      sheetName,
+      [SOURCE_HEADER_ROW].concat(rows)
+    );
+  });
+
+  const settingsPath = path.join(workDir, "settings.json");
+  fs.writeFileSync(settingsPath, JSON.stringify(SETTINGS));
+  return { workDir, projectPath, settingsPath, settings: SETTINGS };
+}
+
+/**
+ * テスト用の作業フォルダを削除する関数
+ * @param {string} workDir - createFixtureProject で作成した作業フォルダ
+ */
+function removeFixtureProject(workDir) {
+  fs.rmSync(workDir, { recursive: true, force: true });
+}
+
+module.exports = {
+  JNUMBER,
+  SETTINGS,
+  createFixtureProject,
+  removeFixtureProject,
+};
@@ -0,0 +1,126 @@
+/**
+ * 部品リスト結合のテスト
+ * フィクスチャの案件フォルダを loadScriptContext で読み込んだスクリプトで結合し、結果を確認します。
+ */
+
+const assert = require("node:assert");
+const { execFileSync } = require("node:child_process");
+const fs = require("node:fs");
+const path = require("node:path");
+const { after, before, test } = require("node:test");
+const { loadScriptContext } = require("../ローカル環境");
+const {
+  JNUMBER,
+  createFixtureProject,
+  removeFixtureProject,
+} = require("./フィクスチャ");
+
+const CLI_PATH = path.join(__dirname, "..", "結合.js");
+
+// 並べ替え後の結合シート (ヘッダー行を含む)
+const EXPECTED_OUTPUT_ROWS = [
+  "発注,受入,No,カテゴリ,Unit,部番,,型式,数量,,手配先,,,Jナンバー",
+  `,,1,製作,1,1,,"P,1",1,塗装,自社,,,${JNUMBER}`,
+  `,,2,購入,3,1,,A-2,3,,MISUMI,,,${JNUMBER}`,
+];
+
+let fixture;
+
+before(() => {
+  fixture = createFixtureProject();
+});
+
+after(() => {
+  removeFixtureProject(fixture.workDir);
+});
+
+/**
+ * CSVファイルを行の配列として読み込む関数 (BOMは除く)
+ * @param {string} filePath - CSVファイルのパス
+ * @returns {Array<string>} - 行の配列
+ */
+function readCsvLines(filePath) {
+  return fs.readFileSync(filePath, "utf8").replace(/^﻿/, "").split("\r\n");
+}
+
+/**
+ * 結合のCLIを実行する関数
+ * @param {Array<string>} args - 案件フォルダ以降の引数
+ * @returns {string} - 標準出力
+ */
+function runCli(args) {
+  return execFileSync(
+    process.execPath,
+    [CLI_PATH, fixture.projectPath, "--settings", fixture.settingsPath].concat(
+      args
+    ),
+    { cwd: fixture.workDir, encoding: "utf8", stdio: "pipe" }
+  );
+}
+
+test("collectMergeData は新しい版のファイルだけを結合し、使用しなかったファイルの理由を返す", () => {
+  const script = loadScriptContext(fixture.settings);
+  const mergeData = script.collectMergeData([fixture.projectPath]);
+
+  assert.strictEqual(mergeData.processedFiles, 2);
+  // 1行目はヘッダー行
+  assert.deepStrictEqual(
+    Array.from(mergeData.combinedDataRows.slice(1), (row) => row[4]),
+    ["P,1", "A-2"]
+  );
+  assert.ok(
+    mergeData.rowRuleResults.some(({ removed }) => removed === 1),
+    "社内在庫なしの行が除外されていません"
+  );
+
+  const reasons = {};
+  mergeData.fileReports
+    .filter((report) => !report.used)
+    .forEach(({ fileName, reason }) => (reasons[fileName] = reason));
+  assert.strictEqual(
+    reasons[`bad_${JNUMBER}_製作_02unit.xlsx`],
+    "対象シートなし"
+  );
+  assert.strictEqual(
+    reasons[`20250101_${JNUMBER}_購入_03unit.xlsx`],
+    `新しい版で置換: 20250201_${JNUMBER}_購入_03unit.xlsx`
+  );
+});
+
+test("buildFinalData と sortOutputData で結合シートの行を作成する", () => {
+  const script = loadScriptContext(fixture.settings);
+  const mergeData = script.collectMergeData([fixture.projectPath]);
+  const finalData = script.sortOutputData(
+    script.buildFinalData(mergeData.combinedDataRows)
+  );
+
+  assert.deepStrictEqual(
+    Array.from(finalData, (row) =>
+      row
+        .map((value) =>
+          script.escapeCsvValue(value === undefined ? "" : String(value))
+        )
+        .join(",")
+    ),
+    EXPECTED_OUTPUT_ROWS
+  );
+});
+
+test("CLI は結合シートを .csv に書き出す", () => {
+  const outputPath = path.join(fixture.workDir, "結合.csv");
+  runCli(["--out", outputPath]);
+
+  assert.deepStrictEqual(readCsvLines(outputPath), EXPECTED_OUTPUT_ROWS);
+});
+
+test("CLI は --consolidated で部品集約の表を書き出す", () => {
+  const outputPath = path.join(fixture.workDir, "部品集約.csv");
+  runCli(["--out", outputPath, "--consolidated"]);
+
+  const [header, ...rows] = readCsvLines(outputPath);
+  assert.ok(header.startsWith("型式,"), header);
+  assert.ok(
+    rows.some((row) => row.startsWith("A-2,")),
+    "A-2 の行がありません"
+  );
+});
@@ -0,0 +1,125 @@
+/**
+ * 実行結果のメール通知のテスト
+ * setNotificationMailer で差し替えたメーラーに渡された宛先・件名・本文を確認します。
+ */
+
+const assert = require("node:assert");
+const { after, before, beforeEach, test } = require("node:test");
+const vm = require("node:vm");
+const { loadScriptContext } = require("../ローカル環境");
+const {
+  JNUMBER,
+  createFixtureProject,
+  removeFixtureProject,
+} = require("./フィクスチャ");
+
+const OUTPUT_URL = "https://docs.google.com/spreadsheets/d/output";
+
+let fixture;
+let script;
+let sentMessages;
+
+before(() => {
+  fixture = createFixtureProject();
+});
+
+after(() => {
+  removeFixtureProject(fixture.workDir);
+});
+
+beforeEach(() => {
+  script = loadScriptContext(
+    Object.assign({}, fixture.settings, {
+      NOTIFY_DEFAULT_RECIPIENTS: "leader@example.com",
+      [`NOTIFY_PROJECT_${JNUMBER}`]: "member@example.com; leader@example.com",
+    })
+  );
+  sentMessages = [];
+  script.setNotificationMailer({
+    send: (message) => sentMessages.push(message),
+  });
+});
+
+/**
+ * 通知メールの宛先・件名・本文をテスト側の値にする関数
+ * @returns {Array<object>} - 送信したメールの配列 ({ to, subject, body })
+ */
+function getSentMessages() {
+  return sentMessages.map(({ to, subject, body }) => ({
+    to: Array.from(to),
+    subject,
+    body,
+  }));
+}
+
+test("成功時は結合結果を既定の宛先と案件の宛先に送る", () => {
+  const mergeData = script.collectMergeData([fixture.projectPath]);
+  script.notifyRunResult(
+    vm.runInContext("RUN_LOG_ACTIONS.COMBINE", script),
+    [fixture.projectPath],
+    mergeData,
+    [OUTPUT_URL],
+    ""
+  );
+
+  const messages = getSentMessages();
+  assert.strictEqual(messages.length, 1);
+  const [{ to, subject, body }] = messages;
+  assert.deepStrictEqual(to, ["leader@example.com", "member@example.com"]);
+  assert.strictEqual(subject, `[部品リスト結合] 結合完了: 案件${JNUMBER}`);
+  const lines = body.split("\n");
+  assert.strictEqual(lines[0], "結合が完了しました。");
+  [
+    `対象フォルダ: 案件${JNUMBER}`,
+    `  ${OUTPUT_URL}`,
+    "処理ファイル数: 2",
+    "行数: 2",
+    "  製作: 1",
+    "  購入: 1",
+    `bad_${JNUMBER}_製作_02unit.xlsx: 対象シートなし`,
+  ].forEach((line) =>
+    assert.ok(
+      lines.some((bodyLine) => bodyLine.endsWith(line)),
+      `本文に「${line}」がありません`
+    )
+  );
+});
+
+test("失敗時はエラーメッセージを送る", () => {
+  script.notifyRunResult(
+    vm.runInContext("RUN_LOG_ACTIONS.UPDATE", script),
+    [fixture.projectPath],
+    null,
+    [],
+    "Error: 更新するスプレッドシートが選択されませんでした"
+  );
+
+  assert.deepStrictEqual(getSentMessages(), [
+    {
+      to: ["leader@example.com", "member@example.com"],
+      subject: `[部品リスト結合] 更新失敗: 案件${JNUMBER}`,
+      body: [
+        "更新に失敗しました。",
+        "",
+        `対象フォルダ: 案件${JNUMBER}`,
+        "エラー: Error: 更新するスプレッドシートが選択されませんでした",
+      ].join("\n"),
+    },
+  ]);
+});
+
+test("宛先がない案件には送らない", () => {
+  script = loadScriptContext(fixture.settings);
+  script.setNotificationMailer({
+    send: (message) => sentMessages.push(message),
+  });
+  script.notifyRunResult(
+    vm.runInContext("RUN_LOG_ACTIONS.COMBINE", script),
+    [fixture.projectPath],
+    null,
+    [],
+    "Error: 有効なデータが見つかりませんでした"
+  );
+
+  assert.strictEqual(sentMessages.length, 0);
+});
@@ -0,0 +1,208 @@
+/**
+ * ローカル実行の出力ファイル (.xlsx / .csv) を書き出す関数群
+ * 外部ライブラリを使わずに、1シートだけのブックを作成します。
+ */
+
+const fs = require("fs");
+const zlib = require("zlib");
+
+/**
+ * 表のデータを .xlsx ファイルに書き出す関数
+ * @param {string} filePath - 出力先のパス
+ * @param {string} sheetName - シート名
+ * @param {Array<Array<*>>} rows - 書き出すデータ（ヘッダー行を含む）
+ */
+function writeXlsxFile(filePath, sheetName, rows) {
+  const entries = [
+    {
+      name: "[Content_Types].xml",
+      text:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      text:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "xl/workbook.xml",
+      text:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(
+          sheetName
+        )}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      text:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        "</Relationships>",
+    },
+    { name: "xl/worksheets/sheet1.xml", text: buildWorksheetXml(rows) },
+  ];
+  fs.writeFileSync(filePath, buildZip(entries));
+}
+
+/**
+ * ワークシートのXMLを作成する関数 (文字列はインライン文字列で書き込む)
+ * @param {Array<Array<*>>} rows - 書き出すデータ
+ * @returns {string} - ワークシートのXML
+ */
+function buildWorksheetXml(rows) {
+  const rowXml = rows
+    .map((row, rowIndex) => {
+      const cells = row
+        .map((value, columnIndex) => {
+          if (value === "" || value === null || value === undefined) return "";
+          const ref = `${toColumnLetters(columnIndex + 1)}${rowIndex + 1}`;
+          if (typeof value === "number" && isFinite(value)) {
+            return `<c r="${ref}"><v>${value}</v></c>`;
+          }
+          return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(
+            String(value)
+          )}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${rowIndex + 1}">${cells}</row>`;
+    })
+    .join("");
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${rowXml}</sheetData></worksheet>`
+  );
+}
+
+/**
+ * 表のデータを .csv ファイル (UTF-8、BOM付き) に書き出す関数
+ * @param {string} filePath - 出力先のパス
+ * @param {Array<Array<*>>} rows - 書き出すデータ（ヘッダー行を含む）
+ * @param {function} escapeValue - 値をCSV用にエスケープする関数 (escapeCsvValue)
+ */
+function writeCsvFile(filePath, rows, escapeValue) {
+  const csv = rows
+    .map((row) =>
+      row
+        .map((value) =>
+          escapeValue(
+            value === null || value === undefined ? "" : String(value)
+          )
+        )
+        .join(",")
+    )
+    .join("\r\n");
+  // ExcelでUTF-8と認識されるようにBOMを付ける
+  fs.writeFileSync(filePath, `\uFEFF${csv}`, "utf8");
+}
+
+/**
+ * ZIPファイルを作成する関数 (Deflate 圧縮)
+ * @param {Array<object>} entries - エントリの配列 ({ name, text })
+ * @returns {Buffer} - ZIPファイルのバイト列
+ */
+function buildZip(entries) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+  entries.forEach(({ name, text }) => {
+    const nameBytes = Buffer.from(name, "utf8");
+    const data = Buffer.from(text, "utf8");
+    const compressed = zlib.deflateRawSync(data);
+    const crc = computeCrc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // 展開に必要なバージョン
+    local.writeUInt16LE(0x0800, 6); // ファイル名はUTF-8
+    local.writeUInt16LE(8, 8); // Deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(nameBytes.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(nameBytes.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, nameBytes, compressed);
+    centralParts.push(central, nameBytes);
+    offset += local.length + nameBytes.length + compressed.length;
+  });
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat(localParts.concat([centralDirectory, end]));
+}
+
+/**
+ * CRC-32 を計算する関数
+ * @param {Buffer} data - バイト列
+ * @returns {number} - CRC-32 の値
+ */
+function computeCrc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 1 ? (crc >>> 1) ^ 0xedb88320 : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 列番号を列名 (A, B, ..., AA) にする関数
+ * @param {number} columnNumber - 列番号 (1始まり)
+ * @returns {string} - 列名
+ */
+function toColumnLetters(columnNumber) {
+  let letters = "";
+  while (columnNumber > 0) {
+    const remainder = (columnNumber - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    columnNumber = Math.floor((columnNumber - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * XMLの特殊文字をエスケープする関数 (使えない制御文字は削除)
+ * @param {string} text - 文字列
+ * @returns {string} - エスケープした文字列
+ */
+function escapeXml(text) {
+  return text
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "") // XMLで使えない制御文字
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+module.exports = { writeXlsxFile, writeCsvFile };
@@ -0,0 +1,279 @@
+/**
+ * ローカル実行用の環境
+ * Apps Script のコード (リポジトリ直下の .js) を Node の vm に読み込み、
+ * DriveApp・SpreadsheetApp・Utilities・PropertiesService をローカルのフォルダと設定JSONで置き換えて実行します。
+ * 置き換えるのは結合処理 (collectMergeData) で使う機能だけです。
+ */
+
+const fs = require("fs");
+const path = require("path");
+const url = require("url");
+const vm = require("vm");
+const zlib = require("zlib");
+
+const SCRIPT_DIR = path.join(__dirname, "..");
+const SETTINGS_SHEET_NAME = "設定";
+const TIME_ZONES = { JST: "Asia/Tokyo" };
+
+/**
+ * Apps Script のコードをローカル環境で読み込む関数
+ * @param {object} settingsJson - 設定シートと同じキーと値のオブジェクト
+ * @returns {object} - Apps Script のグローバル (collectMergeData などを呼び出せる)
+ */
+function loadScriptContext(settingsJson) {
+  const context = vm.createContext({
+    console,
+    DriveApp: createLocalDriveApp(),
+    SpreadsheetApp: createLocalSpreadsheetApp(settingsJson),
+    Utilities: createLocalUtilities(),
+    PropertiesService: createLocalPropertiesService(),
+  });
+  fs.readdirSync(SCRIPT_DIR)
+    .filter((fileName) => fileName.endsWith(".js"))
+    .sort()
+    .forEach((fileName) => {
+      const code = fs.readFileSync(path.join(SCRIPT_DIR, fileName), "utf8");
+      vm.runInContext(code, context, { filename: fileName });
+    });
+  return context;
+}
+
+/**
+ * ローカルのフォルダを扱う DriveApp を作成する関数 (フォルダIDの代わりにパスを使う)
+ * @returns {object} - DriveApp の代わりのオブジェクト
+ */
+function createLocalDriveApp() {
+  return {
+    getFolderById(folderPath) {
+      if (!fs.existsSync(folderPath) || !fs.statSync(folderPath).isDirectory())
+        throw new Error(`フォルダが見つかりません: ${folderPath}`);
+      return createLocalFolder(path.resolve(folderPath));
+    },
+    getFileById(filePath) {
+      if (!fs.existsSync(filePath))
+        throw new Error(`ファイルが見つかりません: ${filePath}`);
+      return createLocalFile(path.resolve(filePath));
+    },
+  };
+}
+
+/**
+ * ローカルのフォルダを Folder と同じ形で扱うオブジェクトを作成する関数
+ * @param {string} folderPath - フォルダの絶対パス
+ * @returns {object} - Folder の代わりのオブジェクト
+ */
+function createLocalFolder(folderPath) {
+  const listEntries = (isDirectory) =>
+    fs
+      .readdirSync(folderPath, { withFileTypes: true })
+      .filter((entry) => entry.isDirectory() === isDirectory)
+      .map((entry) => path.join(folderPath, entry.name))
+      .sort();
+  return {
+    getId: () => folderPath,
+    getName: () => path.basename(folderPath),
+    getUrl: () => url.pathToFileURL(folderPath).href,
+    getFiles: () => createIterator(listEntries(false).map(createLocalFile)),
+    getFolders: () => createIterator(listEntries(true).map(createLocalFolder)),
+  };
+}
+
+/**
+ * ローカルのファイルを File と同じ形で扱うオブジェクトを作成する関数
+ * @param {string} filePath - ファイルの絶対パス
+ * @returns {object} - File の代わりのオブジェクト
+ */
+function createLocalFile(filePath) {
+  return {
+    getId: () => filePath,
+    getName: () => path.basename(filePath),
+    getUrl: () => url.pathToFileURL(filePath).href,
+    getLastUpdated: () => fs.statSync(filePath).mtime,
+    getBlob: () =>
+      createLocalBlob(fs.readFileSync(filePath), path.basename(filePath)),
+  };
+}
+
+/**
+ * 配列から FileIterator / FolderIterator と同じ形のイテレーターを作成する関数
+ * @param {Array<object>} items - 要素の配列
+ * @returns {object} - イテレーター ({ hasNext, next })
+ */
+function createIterator(items) {
+  let index = 0;
+  return {
+    hasNext: () => index < items.length,
+    next: () => items[index++],
+  };
+}
+
+/**
+ * バイト列を Blob と同じ形で扱うオブジェクトを作成する関数
+ * @param {Buffer} bytes - バイト列
+ * @param {string} name - ファイル名
+ * @param {string} contentType - MIMEタイプ (省略可)
+ * @returns {object} - Blob の代わりのオブジェクト
+ */
+function createLocalBlob(bytes, name, contentType = "") {
+  return {
+    getBytes: () => bytes,
+    getName: () => name,
+    getContentType: () => contentType,
+    getDataAsString: (charset = "UTF-8") =>
+      new TextDecoder(charset).decode(bytes),
+    setName(newName) {
+      name = newName;
+      return this;
+    },
+    setContentType(newContentType) {
+      contentType = newContentType;
+      return this;
+    },
+    copyBlob: () => createLocalBlob(bytes, name, contentType),
+  };
+}
+
+/**
+ * 設定JSONを設定シートとして返す SpreadsheetApp を作成する関数
+ * 値は設定シートのセルと同じく loadSettings で解釈される (文字列以外はJSONにする)
+ * @param {object} settingsJson - 設定シートと同じキーと値のオブジェクト
+ * @returns {object} - SpreadsheetApp の代わりのオブジェクト
+ */
+function createLocalSpreadsheetApp(settingsJson) {
+  const values = Object.keys(settingsJson).map((key) => {
+    const value = settingsJson[key];
+    return [key, typeof value === "string" ? value : JSON.stringify(value)];
+  });
+  const sheets = {
+    [SETTINGS_SHEET_NAME]: {
+      getDataRange: () => ({ getValues: () => values }),
+    },
+  };
+  return {
+    openById: () => ({
+      getSheetByName: (sheetName) => sheets[sheetName] || null,
+    }),
+  };
+}
+
+/**
+ * 実行中だけ値を保持する PropertiesService を作成する関数 (プロファイルは選択されていない状態になる)
+ * @returns {object} - PropertiesService の代わりのオブジェクト
+ */
+function createLocalPropertiesService() {
+  const createProperties = () => {
+    const values = {};
+    return {
+      getProperty: (key) => (key in values ? values[key] : null),
+      setProperty(key, value) {
+        values[key] = String(value);
+        return this;
+      },
+      deleteProperty(key) {
+        delete values[key];
+        return this;
+      },
+    };
+  };
+  const userProperties = createProperties();
+  const scriptProperties = createProperties();
+  return {
+    getUserProperties: () => userProperties,
+    getScriptProperties: () => scriptProperties,
+  };
+}
+
+/**
+ * 結合処理で使う Utilities を作成する関数 (ZIPの展開と日付の書式化)
+ * @returns {object} - Utilities の代わりのオブジェクト
+ */
+function createLocalUtilities() {
+  return {
+    unzip: (blob) =>
+      readZipEntries(blob.getBytes()).map(({ name, bytes }) =>
+        createLocalBlob(bytes, name)
+      ),
+    formatDate: formatLocalDate,
+  };
+}
+
+/**
+ * ZIPのエントリを読み込む関数 (無圧縮と Deflate に対応)
+ * @param {Buffer} buffer - ZIPファイルのバイト列
+ * @returns {Array<object>} - エントリの配列 ({ name, bytes })
+ */
+function readZipEntries(buffer) {
+  const END_SIGNATURE = 0x06054b50;
+  const CENTRAL_SIGNATURE = 0x02014b50;
+  let endOffset = buffer.length - 22;
+  while (endOffset >= 0 && buffer.readUInt32LE(endOffset) !== END_SIGNATURE)
+    endOffset--;
+  if (endOffset < 0) throw new Error("ZIPファイルとして読み込めません");
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  const entries = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (buffer.readUInt32LE(offset) !== CENTRAL_SIGNATURE)
+      throw new Error("ZIPの中央ディレクトリが壊れています");
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    const dataOffset =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+    if (!name.endsWith("/")) {
+      entries.push({
+        name,
+        bytes: method === 0 ? data : zlib.inflateRawSync(data),
+      });
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return entries;
+}
+
+/**
+ * Utilities.formatDate と同じ書式 (yyyy, MM, dd, HH, mm, ss) で日付を文字列にする関数
+ * @param {Date} date - 日付
+ * @param {string} timeZone - タイムゾーン ("JST" または IANA 形式)
+ * @param {string} format - 書式
+ * @returns {string} - 書式化した日付
+ */
+function formatLocalDate(date, timeZone, format) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: TIME_ZONES[timeZone] || timeZone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+    hourCycle: "h23",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => (parts[type] = value));
+  return format.replace(
+    /yyyy|MM|dd|HH|mm|ss/g,
+    (token) =>
+      ({
+        yyyy: parts.year,
+        MM: parts.month,
+        dd: parts.day,
+        HH: parts.hour,
+        mm: parts.minute,
+        ss: parts.second,
+      }[token])
+  );
+}
+
+module.exports = { loadScriptContext };
@@ -0,0 +1,113 @@
+/**
+ * 結合処理のローカル実行
+ * ローカルのフォルダにある部品リスト (.xlsx/.xlsm) を Apps Script と同じコードで結合し、
+ * 結果を .xlsx または .csv に書き出します。Googleのサービスは使用しません
+ * (旧形式の .xls はDrive APIでの変換が必要なため読み込めません)。
+ *
+ * 使い方:
+ *   node cli/結合.js <案件フォルダ> --settings <設定.json> [--out <出力ファイル.xlsx|.csv>] [--consolidated]
+ *
+ * 設定.json は設定シートと同じキーと値のオブジェクトです (例: { "TARGET_SHEET_NAME": "部品リスト", "COLUMN_NAME_D": "カテゴリ" })。
+ * 設定シートと同じく検証され、必須のキーも必要です。プロファイルと案件の上書き設定は使用しません。
+ * --out を省略した場合は、出力スプレッドシートと同じファイル名の .xlsx をカレントフォルダに作成します。
+ * --consolidated を指定した場合は、結合シートの代わりに部品集約シートと同じ表 (同じ部品の数量を全Unitで合計したもの) を書き出します。
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { loadScriptContext } = require("./ローカル環境");
+const { writeXlsxFile, writeCsvFile } = require("./ファイル出力");
+
+const OUTPUT_SHEET_NAME = "結合";
+const CONSOLIDATED_SHEET_NAME = "部品集約";
+const USAGE =
+  "使い方: node cli/結合.js <案件フォルダ> --settings <設定.json> [--out <出力ファイル.xlsx|.csv>] [--consolidated]";
+
+/**
+ * コマンドライン引数を解析する関数
+ * @param {Array<string>} args - コマンドライン引数 (node とスクリプト名を除く)
+ * @returns {object} - 案件フォルダ、設定ファイル、出力ファイルのパス、部品集約を出力するかどうか
+ */
+function parseArguments(args) {
+  const options = {
+    folderPath: "",
+    settingsPath: "",
+    outputPath: "",
+    consolidated: false,
+  };
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "--settings") options.settingsPath = args[++i] || "";
+    else if (args[i] === "--out") options.outputPath = args[++i] || "";
+    else if (args[i] === "--consolidated") options.consolidated = true;
+    else if (!options.folderPath) options.folderPath = args[i];
+    else throw new Error(`不明な引数です: ${args[i]}`);
+  }
+  if (!options.folderPath || !options.settingsPath) throw new Error(USAGE);
+  return options;
+}
+
+/**
+ * 部品リストを結合して出力ファイルに書き出す関数
+ * @param {object} options - parseArguments の戻り値
+ * @returns {string} - 作成した出力ファイルのパス
+ */
+function runMerge(options) {
+  const settingsJson = JSON.parse(
+    fs.readFileSync(options.settingsPath, "utf8")
+  );
+  const script = loadScriptContext(settingsJson);
+
+  const mergeData = script.collectMergeData([options.folderPath]);
+  if (mergeData.processedFiles === 0)
+    throw new Error("処理可能なファイルが見つかりませんでした");
+  if (mergeData.combinedDataRows.length === 0)
+    throw new Error("有効なデータが見つかりませんでした");
+
+  const finalData = options.consolidated
+    ? script.buildConsolidatedBomTable(mergeData.combinedDataRows)
+    : script.sortOutputData(script.buildFinalData(mergeData.combinedDataRows));
+  if (!finalData)
+    throw new Error(
+      "同じ部品とみなす列がないため、部品集約の表を作成できません"
+    );
+  const outputPath =
+    options.outputPath ||
+    `${script.buildOutputFileName(
+      mergeData.jNumberSet,
+      mergeData.filenamePartsByCategory
+    )}${options.consolidated ? `_${CONSOLIDATED_SHEET_NAME}` : ""}.xlsx`;
+  if (path.extname(outputPath).toLowerCase() === ".csv") {
+    writeCsvFile(outputPath, finalData, script.escapeCsvValue);
+  } else {
+    writeXlsxFile(
+      outputPath,
+      options.consolidated ? CONSOLIDATED_SHEET_NAME : OUTPUT_SHEET_NAME,
+      finalData
+    );
+  }
+
+  mergeData.fileReports
+    .filter((report) => !report.used)
+    .forEach((report) =>
+      console.warn(
+        `使用しなかったファイル: ${report.folderPath}/${report.fileName} (${report.reason})`
+      )
+    );
+  mergeData.rowRuleResults
+    .filter(({ removed, changed }) => removed > 0 || changed > 0)
+    .forEach(({ rule, removed, changed }) =>
+      console.log(`行ルール ${rule}: 除外 ${removed}行 / 変更 ${changed}行`)
+    );
+  console.log(
+    `処理ファイル数: ${mergeData.processedFiles}, 行数: ${finalData.length - 1}`
+  );
+  return outputPath;
+}
+
+try {
+  const outputPath = runMerge(parseArguments(process.argv.slice(2)));
+  console.log(`出力: ${outputPath}`);
+} catch (e) {
+  console.error(`エラーが発生しました: ${e.message}`);
+  process.exitCode = 1;
+}
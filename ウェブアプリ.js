@@ -0,0 +1,214 @@
+/**
+ * ウェブアプリ (HTTP) からの実行
+ * 社内ツールから結合・プレビュー・更新を実行し、結果をJSONで返します。
+ *
+ * POSTで実行します。パラメータ (POSTのJSON本文、token 以外はクエリでも指定可):
+ *   token          - スクリプトプロパティ WEB_APP_TOKEN と同じ値 (必須、URLに残らないようにJSON本文でのみ受け付ける)
+ *   folderId       - 案件フォルダのID (folderId と jNumber のどちらかが必須、PARENT_FOLDER_ID 以下のものに限る)
+ *   jNumber        - 親フォルダ直下から探す案件のJナンバー
+ *   dryRun         - true の場合はプレビューのみ (スプレッドシートを作成しない)
+ *   update         - true の場合は spreadsheetId のスプレッドシートを更新
+ *   spreadsheetId  - 更新するスプレッドシートのURLまたはID (OUTPUT_FOLDER_ID 内のものに限る)
+ *   exportFormats  - エクスポート形式 (例: "xlsx,csv,pdf")。省略時は設定 EXPORT_FORMATS
+ */
+
+const WEB_APP_TOKEN_PROPERTY_KEY = "WEB_APP_TOKEN";
+
+/**
+ * GETリクエストを処理する関数
+ * トークンがURLやアクセスログに残らないように、GETでは実行しない
+ * @param {object} e - リクエストのイベントオブジェクト
+ * @returns {TextOutput} - エラーのJSON
+ */
+function doGet(e) {
+  return createJsonOutput({
+    success: false,
+    error: "POSTで実行してください (token はJSON本文に指定します)",
+  });
+}
+
+/**
+ * POSTリクエストを処理する関数 (本文はJSON)
+ * @param {object} e - リクエストのイベントオブジェクト
+ * @returns {TextOutput} - 処理結果のJSON
+ */
+function doPost(e) {
+  let body = {};
+  try {
+    if (e.postData && e.postData.contents)
+      body = JSON.parse(e.postData.contents);
+  } catch (error) {
+    return createJsonOutput({
+      success: false,
+      error: "リクエスト本文のJSONを解析できません",
+    });
+  }
+  // トークンはクエリからは受け付けない
+  return handleWebRequest(
+    Object.assign({}, e.parameter, body, { token: body.token })
+  );
+}
+
+/**
+ * リクエストのパラメータに応じて処理を実行する関数
+ * @param {object} params - リクエストのパラメータ
+ * @returns {TextOutput} - 処理結果のJSON
+ */
+function handleWebRequest(params) {
+  try {
+    if (!isValidWebAppToken(params.token)) {
+      return createJsonOutput({ success: false, error: "認証に失敗しました" });
+    }
+
+    const folderId =
+      params.folderId || findProjectFolderIdByJNumber(params.jNumber);
+    // 案件の上書き設定で親フォルダを変えられないように、上書き設定を読み込む前に確認する
+    if (!isUnderParentFolder(folderId))
+      throw new Error(
+        `親フォルダ (PARENT_FOLDER_ID) 以下のフォルダのみ指定できます: ${folderId}`
+      );
+    useProjectSettings([folderId]);
+    if (params.exportFormats) {
+      // このリクエストの実行中だけ、設定の写しで上書きする
+      overrideCurrentSettings({
+        EXPORT_FORMATS: []
+          .concat(params.exportFormats)
+          .join(",")
+          .split(",")
+          .map((format) => format.trim())
+          .filter((format) => format !== ""),
+      });
+    }
+
+    if (isTrueParam(params.dryRun)) {
+      return createJsonOutput(
+        Object.assign({ success: true }, buildMergePreview([folderId]))
+      );
+    }
+
+    // 自動処理や他のリクエストと同時に出力を書き換えないようにロックする
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(30 * 1000))
+      throw new Error(
+        "他の処理が実行中です。しばらくしてから再実行してください"
+      );
+    try {
+      if (isTrueParam(params.update)) {
+        if (!params.spreadsheetId)
+          throw new Error(
+            "更新するスプレッドシート (spreadsheetId) が指定されていません"
+          );
+        const spreadsheetId = extractSpreadsheetId(
+          String(params.spreadsheetId)
+        );
+        if (!isInOutputFolder(spreadsheetId))
+          throw new Error(
+            `出力フォルダ (OUTPUT_FOLDER_ID) 内のスプレッドシートのみ更新できます: ${spreadsheetId}`
+          );
+        return createJsonOutput(
+          updateExistingSpreadsheet([folderId], spreadsheetId)
+        );
+      }
+      return createJsonOutput(combineExcelSheets([folderId]));
+    } finally {
+      lock.releaseLock();
+    }
+  } catch (e) {
+    console.error(`エラーが発生しました: ${e.toString()}`);
+    return createJsonOutput({ success: false, error: e.toString() });
+  }
+}
+
+/**
+ * リクエストのトークンを検証する関数
+ * 一致するまでの時間からトークンを推測されないように、ハッシュ値を全バイト比較する
+ * @param {string} token - リクエストのトークン
+ * @returns {boolean} - スクリプトプロパティのトークンと一致する場合 true
+ */
+function isValidWebAppToken(token) {
+  const expectedToken = PropertiesService.getScriptProperties().getProperty(
+    WEB_APP_TOKEN_PROPERTY_KEY
+  );
+  if (!expectedToken || !token) return false; // トークン未設定の場合は常に拒否
+  const computeHash = (text) =>
+    Utilities.computeDigest(Utilities.DigestAlgorithm.SHA_256, String(text));
+  const expectedHash = computeHash(expectedToken);
+  const actualHash = computeHash(token);
+  let difference = 0;
+  for (let i = 0; i < expectedHash.length; i++) {
+    difference |= expectedHash[i] ^ actualHash[i];
+  }
+  return difference === 0;
+}
+
+/**
+ * フォルダが親フォルダ (PARENT_FOLDER_ID) の下にあるか判定する関数
+ * @param {string} folderId - フォルダのID
+ * @returns {boolean} - 親フォルダの下にある場合 true (親フォルダ自体は false)
+ */
+function isUnderParentFolder(folderId) {
+  const parentFolderId = getParentFolderId();
+  const pendingFolders = [DriveApp.getFolderById(folderId)];
+  const visitedIds = new Set();
+  while (pendingFolders.length > 0) {
+    const folder = pendingFolders.shift();
+    if (visitedIds.has(folder.getId())) continue;
+    visitedIds.add(folder.getId());
+    const parents = folder.getParents();
+    while (parents.hasNext()) {
+      const parent = parents.next();
+      if (parent.getId() === parentFolderId) return true;
+      pendingFolders.push(parent);
+    }
+  }
+  return false;
+}
+
+/**
+ * ファイルが出力フォルダ (OUTPUT_FOLDER_ID) の直下にあるか判定する関数
+ * @param {string} fileId - ファイルのID
+ * @returns {boolean} - 出力フォルダ内の場合 true
+ */
+function isInOutputFolder(fileId) {
+  const outputFolderId = getSettings().OUTPUT_FOLDER_ID;
+  const parents = DriveApp.getFileById(fileId).getParents();
+  while (parents.hasNext()) {
+    if (parents.next().getId() === outputFolderId) return true;
+  }
+  return false;
+}
+
+/**
+ * 親フォルダ直下からJナンバーの案件フォルダを探す関数
+ * @param {string} jNumber - Jナンバー
+ * @returns {string} - 案件フォルダのID
+ */
+function findProjectFolderIdByJNumber(jNumber) {
+  if (!jNumber) throw new Error("folderId または jNumber を指定してください");
+  const folders = DriveApp.getFolderById(getParentFolderId()).getFolders();
+  while (folders.hasNext()) {
+    const folder = folders.next();
+    if (extractJNumber(folder.getName()) === jNumber) return folder.getId();
+  }
+  throw new Error(`Jナンバー ${jNumber} の案件フォルダが見つかりません`);
+}
+
+/**
+ * パラメータの真偽値を判定する関数 ("true"/true/"1" を真とする)
+ * @param {*} value - パラメータの値
+ * @returns {boolean} - 真の場合 true
+ */
+function isTrueParam(value) {
+  return value === true || value === "true" || value === "1";
+}
+
+/**
+ * 処理結果をJSONのレスポンスにする関数
+ * @param {object} result - 処理結果
+ * @returns {TextOutput} - JSONのレスポンス
+ */
+function createJsonOutput(result) {
+  return ContentService.createTextOutput(JSON.stringify(result)).setMimeType(
+    ContentService.MimeType.JSON
+  );
+}
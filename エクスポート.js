@@ -0,0 +1,128 @@
+/**
+ * 出力スプレッドシートのエクスポート
+ * 設定 EXPORT_FORMATS (例: ["xlsx", "csv", "pdf"]) で指定した形式のファイルを、
+ * 出力スプレッドシートと同じ名前で OUTPUT_FOLDER_ID に保存します (同じ名前の以前のファイルはゴミ箱に移して置き換えます)。
+ * CSVの文字コードは設定 CSV_ENCODING ("UTF-8" (BOM付き) または "Shift_JIS") で指定します。
+ */
+
+const EXPORT_FORMATS = {
+  XLSX: "xlsx",
+  CSV: "csv",
+  PDF: "pdf",
+};
+const CSV_ENCODINGS = {
+  UTF8: "UTF-8",
+  SHIFT_JIS: "Shift_JIS",
+};
+
+/**
+ * 設定された形式で出力スプレッドシートをエクスポートする関数
+ * 1つの形式で失敗しても、残りの形式のエクスポートは続ける
+ * @param {Spreadsheet} spreadsheet - 出力スプレッドシート
+ * @returns {Array<File>} - 作成したファイル
+ */
+function exportOutputFiles(spreadsheet) {
+  const formats = [].concat(getSettings().EXPORT_FORMATS || []);
+  if (formats.length === 0) return [];
+
+  SpreadsheetApp.flush(); // 書き込み内容を反映してからエクスポートする
+  const outputFolder = DriveApp.getFolderById(getSettings().OUTPUT_FOLDER_ID);
+  const sheet = spreadsheet.getSheets()[0];
+  const baseName = spreadsheet.getName();
+  const files = [];
+
+  formats.forEach((format) => {
+    try {
+      let blob;
+      switch (String(format).toLowerCase()) {
+        case EXPORT_FORMATS.XLSX:
+          blob = fetchSpreadsheetExport(spreadsheet, { format: "xlsx" });
+          break;
+        case EXPORT_FORMATS.CSV:
+          blob = buildCsvBlob(sheet);
+          break;
+        case EXPORT_FORMATS.PDF:
+          blob = fetchSpreadsheetExport(spreadsheet, {
+            format: "pdf",
+            gid: sheet.getSheetId(),
+            portrait: false, // 横向き
+            fitw: true, // 幅に合わせる
+            fzr: true, // 固定したヘッダー行を各ページに表示
+            gridlines: true,
+            size: "A4",
+          });
+          break;
+        default:
+          throw new Error(`対応していない形式です: ${format}`);
+      }
+      const fileName = `${baseName}.${String(format).toLowerCase()}`;
+      // 更新モードで再エクスポートした場合に古いファイルが残らないようにする
+      const existingFiles = outputFolder.getFilesByName(fileName);
+      while (existingFiles.hasNext()) existingFiles.next().setTrashed(true);
+      const file = outputFolder.createFile(blob.setName(fileName));
+      files.push(file);
+    } catch (e) {
+      console.error(`エクスポートに失敗 (${format}): ${e.toString()}`);
+    }
+  });
+  return files;
+}
+
+/**
+ * スプレッドシートのエクスポートURLからファイルを取得する関数
+ * @param {Spreadsheet} spreadsheet - 対象のスプレッドシート
+ * @param {object} params - エクスポートのパラメータ
+ * @returns {Blob} - エクスポートしたファイル
+ */
+function fetchSpreadsheetExport(spreadsheet, params) {
+  const query = Object.keys(params)
+    .map((key) => `${key}=${encodeURIComponent(params[key])}`)
+    .join("&");
+  const response = UrlFetchApp.fetch(
+    `https://docs.google.com/spreadsheets/d/${spreadsheet.getId()}/export?${query}`,
+    {
+      headers: { Authorization: `Bearer ${ScriptApp.getOAuthToken()}` },
+      muteHttpExceptions: true,
+    }
+  );
+  if (response.getResponseCode() !== 200) {
+    throw new Error(
+      `エクスポートに失敗しました (HTTP ${response.getResponseCode()})`
+    );
+  }
+  return response.getBlob();
+}
+
+/**
+ * シートの表示値からCSVファイルを作成する関数
+ * @param {Sheet} sheet - 対象のシート
+ * @returns {Blob} - CSVファイル
+ */
+function buildCsvBlob(sheet) {
+  const csv = sheet
+    .getDataRange()
+    .getDisplayValues()
+    .map((row) => row.map(escapeCsvValue).join(","))
+    .join("\r\n");
+
+  if (getSettings().CSV_ENCODING === CSV_ENCODINGS.SHIFT_JIS) {
+    return Utilities.newBlob("", MimeType.CSV).setDataFromString(
+      csv,
+      CSV_ENCODINGS.SHIFT_JIS
+    );
+  }
+  // ExcelでUTF-8と認識されるようにBOMを付ける
+  return Utilities.newBlob("", MimeType.CSV).setDataFromString(
+    `\uFEFF${csv}`,
+    CSV_ENCODINGS.UTF8
+  );
+}
+
+/**
+ * CSVの値をエスケープする関数
+ * @param {string} value - セルの表示値
+ * @returns {string} - エスケープした値
+ */
+function escapeCsvValue(value) {
+  return /[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
@@ -0,0 +1,183 @@
+/**
+ * カテゴリ表
+ * 設定スプレッドシートの「カテゴリ」シート
+ * (カテゴリ | ファイル名の語 | 略称 | Unit番号 | クリアする列 | 背景色 | 数量列の背景色 | 並び順) から、
+ * 部品リストのカテゴリ (製作・購入・電気など) を読み込みます。シートがない場合や有効な行がない場合は既定のカテゴリを使います。
+ *
+ * - ファイル名の語: ファイル名の "_<語>_" でカテゴリを判定します (省略時はカテゴリ名)
+ * - 略称: 出力ファイル名に使う接頭辞 (例: 購 → "購01-03")
+ * - Unit番号: TRUE の場合は出力ファイル名に Unit番号を付けます (省略時は TRUE)
+ * - クリアする列: 読み込み時に空欄にする出力列 (カンマ区切り、例: L)
+ * - 背景色・数量列の背景色: カテゴリ列 (D列) と数量列の条件付き書式の色
+ * - 並び順: 出力ファイル名に並べる順 (小さいほど先、省略時は表の順)
+ */
+
+const CATEGORIES_SHEET_NAME = "カテゴリ";
+
+// カテゴリシートがない (または有効な行がない) 場合の既定のカテゴリ
+const DEFAULT_CATEGORIES = [
+  {
+    name: "購入",
+    token: "購入",
+    prefix: "購",
+    hasUnits: true,
+    clearColumns: ["L"],
+    background: "#ffc0cb",
+    quantityBackground: "#ffe4e1",
+    sortOrder: 1,
+  },
+  {
+    name: "製作",
+    token: "製作",
+    prefix: "製",
+    hasUnits: true,
+    clearColumns: [],
+    background: "#add8e6",
+    quantityBackground: "#e0ffff",
+    sortOrder: 2,
+  },
+  {
+    name: "電気",
+    token: "電気",
+    prefix: "電",
+    hasUnits: false,
+    clearColumns: ["L"],
+    background: "#ffff00",
+    quantityBackground: "#ffff00",
+    sortOrder: 3,
+  },
+];
+
+let categoriesCache = null; // 実行中に読み込んだカテゴリ表
+
+/**
+ * カテゴリ表を設定スプレッドシートから読み込む関数 (実行中は読み直さない)
+ * 不正な行は警告を出してスキップし、有効な行がない場合は既定のカテゴリを使う
+ * @returns {Array<object>} - 並び順に並べたカテゴリの配列 ({ name, token, prefix, hasUnits, clearColumns, background, quantityBackground, sortOrder })
+ */
+function loadCategories() {
+  if (categoriesCache) return categoriesCache;
+  const sheetRows = readSettingsSheetRows(CATEGORIES_SHEET_NAME);
+  if (!sheetRows) {
+    categoriesCache = DEFAULT_CATEGORIES;
+    return categoriesCache;
+  }
+
+  const categories = [];
+  sheetRows
+    .slice(1) // ヘッダー行を除外
+    .forEach((row, index) => {
+      const [
+        name,
+        token,
+        prefix,
+        hasUnits,
+        clearColumns,
+        background,
+        quantityBackground,
+        sortOrder,
+      ] = row.map((cell) => String(cell === undefined ? "" : cell).trim());
+      if (!name) return; // 空行
+
+      const category = {
+        name,
+        token: token || name,
+        prefix,
+        hasUnits: !/^FALSE$/i.test(hasUnits),
+        clearColumns: clearColumns
+          .split(/[,、\s]+/)
+          .map((column) => column.toUpperCase())
+          .filter((column) => column !== ""),
+        background,
+        quantityBackground,
+        sortOrder: sortOrder === "" ? categories.length + 1 : Number(sortOrder),
+      };
+      const isValid =
+        !categories.some((existing) => existing.name === name) &&
+        category.clearColumns.every((column) =>
+          SOURCE_OUTPUT_COLUMN_LETTERS.includes(column)
+        ) &&
+        isFinite(category.sortOrder);
+      if (!isValid) {
+        console.warn(
+          `カテゴリ ${index + 2} 行目が不正なためスキップします: ${row.join(
+            ", "
+          )}`
+        );
+        return;
+      }
+      categories.push(category);
+    });
+  if (categories.length === 0) {
+    console.warn(
+      `${CATEGORIES_SHEET_NAME}シートに有効な行がないため、既定のカテゴリを使います`
+    );
+    categoriesCache = DEFAULT_CATEGORIES;
+    return categoriesCache;
+  }
+  categoriesCache = categories.sort((a, b) => a.sortOrder - b.sortOrder);
+  return categoriesCache;
+}
+
+/**
+ * カテゴリ名からカテゴリを取得する関数
+ * @param {string} name - カテゴリ名
+ * @returns {object|null} - カテゴリ (カテゴリ表にない場合は null)
+ */
+function findCategory(name) {
+  return loadCategories().find((category) => category.name === name) || null;
+}
+
+/**
+ * カテゴリ表で指定された列を空欄にする関数
+ * 書き換えは行の配列を直接変更する
+ * @param {Array<Array<*>>} dataRows - 結合データの形式のデータ行 (ヘッダー行を除く)
+ * @param {string} categoryName - ファイルのカテゴリ
+ */
+function clearCategoryColumns(dataRows, categoryName) {
+  const category = findCategory(categoryName);
+  if (!category) return;
+  category.clearColumns.forEach((column) => {
+    const index = toCombinedIndex(convertColumnLettersToIndex(column) + 1);
+    dataRows.forEach((row) => (row[index] = ""));
+  });
+}
+
+/**
+ * カテゴリ表の色から書式ルールを作成する関数
+ * カテゴリ列 (D列) はカテゴリ名と一致するセル、数量列はそのカテゴリの行に色を付ける
+ * @returns {Array<object>} - 書式ルールの配列 ({ column, matchType, value, background, fontColor })
+ */
+function buildCategoryFormattingRules() {
+  const quantityIndex = findCombinedIndexByColumnName(
+    getSettings().QUANTITY_COLUMN,
+    /数量/
+  );
+  const quantityColumn =
+    quantityIndex === -1
+      ? "I"
+      : String.fromCharCode("D".charCodeAt(0) + quantityIndex);
+
+  const rules = [];
+  loadCategories().forEach((category) => {
+    if (category.background) {
+      rules.push({
+        column: "D",
+        matchType: FORMATTING_MATCH_TYPES.EQUALS,
+        value: category.name,
+        background: category.background,
+        fontColor: "",
+      });
+    }
+    if (category.quantityBackground) {
+      rules.push({
+        column: quantityColumn,
+        matchType: FORMATTING_MATCH_TYPES.FORMULA,
+        value: `=$D2="${category.name.replace(/"/g, '""')}"`,
+        background: category.quantityBackground,
+        fontColor: "",
+      });
+    }
+  });
+  return rules;
+}
@@ -1,219 +1,636 @@
-const settings = loadSettings();
-const COLUMN_NAMES = settings.COLUMN_NAMES;
+const PREVIEW_SHEET_NAME = "プレビュー";
+const VALID_EXTENSIONS = [".xls", ".xlsx", ".xlsm"];
+
+// ファイルを使用しなかった理由
+const SKIP_REASONS = {
+  INVALID_EXTENSION: "対象外の拡張子",
+  SHEET_NOT_FOUND: "対象シートなし",
+  READ_ERROR: "読み込みエラー",
+  SUPERSEDED: "新しい版で置換",
+  MISSING_COLUMNS: "必須列なし",
+  NO_VALID_ROWS: "有効行なし",
+  REVISION_CONFLICT: "版の競合",
+};
 
 /**
- * 設定情報をGoogleスプレッドシートから読み取る関数
- * @returns {object} - 設定情報のオブジェクト
+ * Jナンバー列 (N列) の見出しを取得する関数
+ * @returns {string} - Jナンバー列の見出し
  */
-function loadSettings() {
-  const SETTINGS_SPREADSHEET_ID =
-    "14bC3-7LaiAodEHE3OoHcbibdyLe7C5OMCM8sKQTBvLk"; // スプレッドシートIDを設定
-  const sheet = SpreadsheetApp.openById(SETTINGS_SPREADSHEET_ID).getSheetByName(
-    "設定"
-  );
-  const data = sheet.getDataRange().getValues();
-  const settings = {};
-  const columnNames = {};
-  const columnWidths = {};
-
-  data.forEach((row) => {
-    const key = row[0];
-    const value = row[1];
-    try {
-      if (key.startsWith("COLUMN_NAME_")) {
-        const columnKey = key.replace("COLUMN_NAME_", "");
-        columnNames[columnKey] = value;
-      } else if (key.startsWith("COLUMN_WIDTH_")) {
-        const columnKey = key.replace("COLUMN_WIDTH_", "");
-        columnWidths[columnKey] = parseInt(value, 10);
-      } else {
-        settings[key] = JSON.parse(value);
-      }
-    } catch (e) {
-      settings[key] = value;
-    }
-  });
-
-  settings.COLUMN_NAMES = columnNames;
-  settings.COLUMN_WIDTHS = columnWidths;
-  return settings;
+function getJNumberHeader() {
+  return getSettings().COLUMN_NAMES.N || "Jナンバー";
 }
 
 /**
  * メイン処理: フォルダ内のExcelファイルを結合し、Googleスプレッドシートを作成します。
- * @returns {object} - 処理結果 (成功/失敗、URL、処理ファイル数、合計行数)
+ * 設定 MULTI_JNUMBER_MODE が "split" の場合はJナンバーごとにスプレッドシートを作成します。
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @returns {object} - 処理結果 (成功/失敗、URL、手配先別のスプレッドシートのURL、処理ファイル数、合計行数、対象ファイル一覧、ファイルごとの処理結果)
  */
-function combineExcelSheets() {
+function combineExcelSheets(folderIds) {
+  let mergeData = null;
   try {
-    const folderId = selectFolder();
-    if (!folderId) throw new Error("フォルダが選択されませんでした");
+    if (!folderIds || folderIds.length === 0)
+      throw new Error("フォルダが選択されませんでした");
 
-    const folder = DriveApp.getFolderById(folderId);
-    if (!folder) throw new Error("指定されたフォルダが見つかりません");
-
-    const subFolders = folder.getFolders();
-    const targetFolders = [];
-
-    while (subFolders.hasNext()) {
-      const subFolder = subFolders.next();
-      const subFolderName = subFolder.getName();
-      if (
-        !subFolderName.startsWith("@") &&
-        subFolderName.includes("部品リスト")
-      ) {
-        targetFolders.push(subFolder);
-      }
-    }
-
-    if (targetFolders.length === 0) {
-      throw new Error("部品リストを含むフォルダが見つかりませんでした");
-    }
-
-    let combinedDataRows = [];
-    let processedFiles = 0;
-    const jNumberSet = new Set();
-    const unitNumberSet = new Set();
-    const categories = new Set();
-    const filenamePartsByCategory = {
-      購入: [],
-      製作: [],
-      電気: [],
-    };
-
-    targetFolders.forEach((targetFolder) => {
-      const fileIterator = targetFolder.getFiles();
-      const result = processFiles(fileIterator);
-      combinedDataRows = combinedDataRows.concat(result.combinedDataRows);
-      processedFiles += result.processedFiles;
-      result.jNumberSet.forEach((jNumber) => jNumberSet.add(jNumber));
-      result.unitNumberSet.forEach((unitNumber) =>
-        unitNumberSet.add(unitNumber)
-      );
-      result.categories.forEach((category) => categories.add(category));
-      Object.keys(result.filenamePartsByCategory).forEach((key) => {
-        filenamePartsByCategory[key] = filenamePartsByCategory[key].concat(
-          result.filenamePartsByCategory[key]
-        );
-      });
-    });
+    useProjectSettings(folderIds);
+    mergeData = collectMergeData(folderIds);
+    const { combinedDataRows, processedFiles } = mergeData;
 
     if (processedFiles === 0)
       throw new Error("処理可能なファイルが見つかりませんでした");
     if (combinedDataRows.length === 0)
       throw new Error("有効なデータが見つかりませんでした");
 
-    const newSpreadsheet = createSpreadsheet(
-      combinedDataRows,
-      jNumberSet,
-      unitNumberSet,
-      categories,
-      filenamePartsByCategory
+    const outputs = splitMergeDataByJNumber(mergeData).map((outputData) =>
+      createOutputSpreadsheet(outputData)
+    );
+    const urls = outputs.map(({ spreadsheet }) => spreadsheet.getUrl());
+    const supplierUrls = [].concat(
+      ...outputs.map((output) => output.supplierUrls)
+    );
+    appendRunLog(
+      RUN_LOG_ACTIONS.COMBINE,
+      folderIds,
+      mergeData,
+      urls.concat(supplierUrls),
+      ""
+    );
+    notifyRunResult(
+      RUN_LOG_ACTIONS.COMBINE,
+      folderIds,
+      mergeData,
+      urls.concat(supplierUrls),
+      ""
     );
-    const newSheet = newSpreadsheet.getActiveSheet();
-
-    applyRowHeights(newSheet, combinedDataRows.length, settings.ROW_HEIGHT);
-    applyConditionalFormatting(newSheet, combinedDataRows);
 
     return {
       success: true,
-      url: newSpreadsheet.getUrl(),
+      url: urls[0],
+      urls,
+      supplierUrls,
       processedFiles: processedFiles,
       totalRows: combinedDataRows.length,
+      discoveredFiles: mergeData.discoveredFiles,
+      fileReports: mergeData.fileReports,
     };
   } catch (e) {
     console.error(`エラーが発生しました: ${e.toString()}`);
+    appendRunLog(
+      RUN_LOG_ACTIONS.COMBINE,
+      folderIds,
+      mergeData,
+      [],
+      e.toString()
+    );
+    notifyRunResult(
+      RUN_LOG_ACTIONS.COMBINE,
+      folderIds,
+      mergeData,
+      [],
+      e.toString()
+    );
     return { success: false, error: e.toString() };
   }
 }
 
 /**
- * フォルダ内のファイルを処理する関数
- * @param {FileIterator} fileIterator - フォルダ内のファイルイテレータ
- * @returns {object} - 結合されたデータ、処理したファイル数、Jナンバーのセット、ユニットナンバーのセット
+ * 結合データから出力スプレッドシートを作成し、書式・変更履歴・検証結果・集計・手配先別の出力を設定して、
+ * 設定された形式でエクスポートする関数
+ * @param {object} outputData - 出力1件分の結合データ (collectMergeData の戻り値と同じ形式)
+ * @returns {object} - 作成されたスプレッドシートと、手配先別のスプレッドシートのURLの配列 ({ spreadsheet, supplierUrls })
  */
-function processFiles(fileIterator) {
-  const validExtensions = [".xls", ".xlsx", ".xlsm"];
-  let combinedDataRows = [];
-  let processedFiles = 0;
+function createOutputSpreadsheet(outputData) {
+  const { combinedDataRows } = outputData;
+  const newSpreadsheet = createSpreadsheet(
+    combinedDataRows,
+    outputData.jNumberSet,
+    outputData.unitNumberSet,
+    outputData.categories,
+    outputData.filenamePartsByCategory
+  );
+  const newSheet = newSpreadsheet.getActiveSheet();
+
+  applyRowHeights(newSheet, combinedDataRows.length, getSettings().ROW_HEIGHT);
+  applyConditionalFormatting(newSheet, combinedDataRows);
+  writeRevisionHistorySheet(newSpreadsheet, outputData.revisionPairs);
+  writeRevisionConflictSheet(newSpreadsheet, outputData.revisionConflicts);
+  writeValidationSheet(newSpreadsheet, combinedDataRows, outputData.rowSources);
+  writeSummarySheet(newSpreadsheet, combinedDataRows);
+  writeConsolidatedBomSheet(newSpreadsheet, combinedDataRows);
+  const supplierSpreadsheets = writeSupplierOutputs(
+    newSpreadsheet,
+    combinedDataRows,
+    outputData.jNumberSet
+  );
+  exportOutputFiles(newSpreadsheet);
+  return {
+    spreadsheet: newSpreadsheet,
+    supplierUrls: supplierSpreadsheets.map((spreadsheet) =>
+      spreadsheet.getUrl()
+    ),
+  };
+}
+
+/**
+ * 結合データを出力ファイルの単位に分割する関数
+ * 設定 MULTI_JNUMBER_MODE が "split" の場合はJナンバーごとに分け、それ以外は1件にまとめる
+ * @param {object} mergeData - collectMergeData の戻り値
+ * @returns {Array<object>} - 出力ファイルごとの結合データ
+ */
+function splitMergeDataByJNumber(mergeData) {
+  const JNUMBER_INDEX = toCombinedIndex(OUTPUT_COLUMNS.JNUMBER);
+  const [headerRow, ...dataRows] = mergeData.combinedDataRows;
+  const jNumbers = Array.from(
+    new Set(dataRows.map((row) => row[JNUMBER_INDEX]))
+  ).sort();
+  if (getSettings().MULTI_JNUMBER_MODE !== "split" || jNumbers.length <= 1) {
+    return [mergeData];
+  }
+
+  return jNumbers.map((jNumber) => {
+    const fileReports = mergeData.fileReports.filter(
+      (report) => report.jNumber === jNumber
+    );
+    const rowIndexes = dataRows
+      .map((row, index) => index)
+      .filter((index) => dataRows[index][JNUMBER_INDEX] === jNumber);
+    return Object.assign({}, mergeData, {
+      combinedDataRows: [headerRow].concat(
+        rowIndexes.map((index) => dataRows[index])
+      ),
+      rowSources: rowIndexes.map((index) => mergeData.rowSources[index]),
+      processedFiles: fileReports.filter((report) => report.used).length,
+      jNumberSet: new Set(jNumber ? [jNumber] : []),
+      filenamePartsByCategory: buildFilenamePartsByCategory(fileReports),
+      fileReports,
+      revisionPairs: mergeData.revisionPairs.filter(
+        (pair) => extractJNumber(pair.newerFileName) === jNumber
+      ),
+      revisionConflicts: mergeData.revisionConflicts.filter(
+        (conflict) => conflict.jNumber === jNumber
+      ),
+    });
+  });
+}
+
+/**
+ * 選択フォルダ配下の部品リストを読み込み、結合前のデータを集める関数
+ * スプレッドシートの作成は行わない
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @returns {object} - 結合されたデータ、処理ファイル数、Jナンバー等のセット、ファイルごとの処理結果、置換された版の組、版の競合、データ行ごとの元ファイルと行番号
+ */
+function collectMergeData(folderIds) {
+  const { targetFolders, discoveredFiles } = discoverMergeTargets(folderIds);
+  return mergeTargetFolders(targetFolders, discoveredFiles);
+}
+
+/**
+ * 選択フォルダ配下の部品リストフォルダと対象ファイルを探索する関数
+ * 複数のフォルダが選択された場合は、パスの先頭にフォルダ名を付けて区別する
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @returns {object} - 対象フォルダの配列と対象ファイル一覧
+ */
+function discoverMergeTargets(folderIds) {
+  const options = getDiscoveryOptions();
+  let targetFolders = [];
+  folderIds.forEach((folderId) => {
+    const folder = DriveApp.getFolderById(folderId);
+    if (!folder) throw new Error("指定されたフォルダが見つかりません");
+    const rootPath = folderIds.length > 1 ? folder.getName() : "";
+    targetFolders = targetFolders.concat(
+      discoverTargetFolders(folder, options, rootPath)
+    );
+  });
+
+  if (targetFolders.length === 0) {
+    throw new Error("部品リストを含むフォルダが見つかりませんでした");
+  }
+
+  const discoveredFiles = [];
+  targetFolders.forEach((targetFolder) => {
+    targetFolder.files.forEach(({ file, folderPath }) => {
+      discoveredFiles.push({ folderPath, fileName: file.getName() });
+    });
+  });
+  return { targetFolders, discoveredFiles };
+}
+
+/**
+ * 対象フォルダのファイルをまとめて処理し、結合データを作成する関数
+ * 同じ部品リストの版は対象フォルダをまたいで判定する
+ * @param {Array<object>} targetFolders - 対象フォルダの配列 ({ path, files })
+ * @param {Array<object>} discoveredFiles - 対象ファイル一覧
+ * @returns {object} - 結合されたデータ、処理ファイル数、Jナンバー等のセット、ファイルごとの処理結果、置換された版の組、版の競合、データ行ごとの元ファイルと行番号
+ */
+function mergeTargetFolders(targetFolders, discoveredFiles) {
+  const files = [].concat(
+    ...targetFolders.map((targetFolder) => targetFolder.files)
+  );
+  return Object.assign(processFiles(files), { discoveredFiles });
+}
+
+/**
+ * プレビュー処理: 結合を実行した場合の結果をシートに出力します。
+ * 出力フォルダへのスプレッドシート作成は行いません。
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @returns {object} - プレビュー結果 (成功/失敗、出力ファイル名、カテゴリ別行数、行ルールごとの結果、ファイルごとの処理結果)
+ */
+function previewCombineExcelSheets(folderIds) {
+  try {
+    if (!folderIds || folderIds.length === 0)
+      throw new Error("フォルダが選択されませんでした");
+
+    const preview = buildMergePreview(folderIds);
+    writePreviewSheet(SpreadsheetApp.getActiveSpreadsheet(), preview);
+    return Object.assign({ success: true }, preview);
+  } catch (e) {
+    console.error(`エラーが発生しました: ${e.toString()}`);
+    return { success: false, error: e.toString() };
+  }
+}
+
+/**
+ * 結合を実行した場合の結果を求める関数 (ドライラン)
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @returns {object} - 出力ファイル名の配列、カテゴリ別行数、合計行数、行ルールごとの結果、ファイルごとの処理結果
+ */
+function buildMergePreview(folderIds) {
+  useProjectSettings(folderIds);
+  const mergeData = collectMergeData(folderIds);
+  const dataRows = mergeData.combinedDataRows.slice(1);
+
+  const rowCountsByCategory = {};
+  dataRows.forEach((row) => {
+    const category = row[0] || "(なし)";
+    rowCountsByCategory[category] = (rowCountsByCategory[category] || 0) + 1;
+  });
+
+  return {
+    folderIds,
+    outputFileNames: splitMergeDataByJNumber(mergeData).map((outputData) =>
+      buildOutputFileName(
+        outputData.jNumberSet,
+        outputData.filenamePartsByCategory
+      )
+    ),
+    rowCountsByCategory,
+    totalRows: dataRows.length,
+    rowRuleResults: mergeData.rowRuleResults,
+    fileReports: mergeData.fileReports,
+  };
+}
+
+/**
+ * プレビュー結果をシートに書き出す関数
+ * @param {Spreadsheet} spreadsheet - 書き出し先のスプレッドシート
+ * @param {object} preview - buildMergePreview の戻り値
+ */
+function writePreviewSheet(spreadsheet, preview) {
+  const sheet =
+    spreadsheet.getSheetByName(PREVIEW_SHEET_NAME) ||
+    spreadsheet.insertSheet(PREVIEW_SHEET_NAME);
+  sheet.clear();
+
+  const summaryRows = preview.outputFileNames.map((fileName) => [
+    "出力ファイル名",
+    fileName,
+  ]);
+  summaryRows.push(["実行日時", getCurrentDateTime()]);
+  summaryRows.push(["合計行数", preview.totalRows]);
+  Object.entries(preview.rowCountsByCategory).forEach(([category, count]) => {
+    summaryRows.push([`行数 (${category})`, count]);
+  });
+  preview.rowRuleResults.forEach(({ rule, removed, changed }) => {
+    summaryRows.push([
+      `行ルール (${rule})`,
+      `除外 ${removed}行 / 変更 ${changed}行`,
+    ]);
+  });
+  sheet.getRange(1, 1, summaryRows.length, 2).setValues(summaryRows);
+
+  const fileHeaderRow = [
+    "フォルダ",
+    "ファイル名",
+    "Jナンバー",
+    "カテゴリ",
+    "ユニット",
+    "使用",
+    "理由",
+    "行数",
+  ];
+  const fileRows = preview.fileReports.map((report) => [
+    report.folderPath,
+    report.fileName,
+    report.jNumber,
+    report.category,
+    report.unitNumber,
+    report.used ? "使用" : "スキップ",
+    report.reason,
+    report.rowCount,
+  ]);
+  const fileTableStartRow = summaryRows.length + 2;
+  sheet
+    .getRange(fileTableStartRow, 1, fileRows.length + 1, fileHeaderRow.length)
+    .setValues([fileHeaderRow].concat(fileRows));
+  sheet
+    .getRange(fileTableStartRow, 1, 1, fileHeaderRow.length)
+    .setBackground("#f3f3f3")
+    .setFontWeight("bold");
+  sheet.autoResizeColumns(1, fileHeaderRow.length);
+}
+
+/**
+ * 部品リストフォルダの探索条件を設定シートから取得する関数
+ * パターンは正規表現の文字列 (JSON配列または単一の文字列) で指定する
+ * @returns {object} - 探索条件 (フォルダ・ファイル名のパターン、最大深さ)
+ */
+function getDiscoveryOptions() {
+  const DEFAULT_FOLDER_MAX_DEPTH = 5;
+  const toRegExps = (patterns, defaultPatterns) => {
+    let list = defaultPatterns;
+    if (Array.isArray(patterns)) list = patterns;
+    else if (patterns !== undefined && patterns !== "") list = [patterns];
+    return list.map((pattern) => new RegExp(String(pattern)));
+  };
+
+  return {
+    folderIncludePatterns: toRegExps(getSettings().FOLDER_INCLUDE_PATTERNS, [
+      "部品リスト",
+    ]),
+    folderExcludePatterns: toRegExps(getSettings().FOLDER_EXCLUDE_PATTERNS, [
+      "^@",
+    ]),
+    fileIncludePatterns: toRegExps(getSettings().FILE_INCLUDE_PATTERNS, []),
+    fileExcludePatterns: toRegExps(getSettings().FILE_EXCLUDE_PATTERNS, []),
+    maxDepth:
+      parseInt(getSettings().FOLDER_MAX_DEPTH, 10) || DEFAULT_FOLDER_MAX_DEPTH,
+  };
+}
+
+/**
+ * 選択フォルダ配下を再帰的に探索し、部品リストフォルダとその中のファイルを収集する関数
+ * 対象フォルダに一致した後は、そのサブフォルダ内のファイルも同じ対象フォルダに含める
+ * @param {Folder} rootFolder - 探索を開始するフォルダ
+ * @param {object} options - 探索条件 (getDiscoveryOptions の戻り値)
+ * @param {string} rootPath - 探索を開始するフォルダのパス (省略時は空文字列)
+ * @returns {Array<object>} - 対象フォルダの配列 ({ folder, path, files: [{ file, folderPath }] })
+ */
+function discoverTargetFolders(rootFolder, options, rootPath = "") {
+  const targetFolders = [];
+  collectTargetFolders(rootFolder, rootPath, 0, null, options, targetFolders);
+  return targetFolders;
+}
+
+/**
+ * discoverTargetFolders の再帰処理を行う関数
+ * @param {Folder} folder - 探索中のフォルダ
+ * @param {string} path - 選択フォルダからの相対パス
+ * @param {number} depth - 選択フォルダからの深さ
+ * @param {object|null} targetFolder - 所属する対象フォルダ (未一致の場合は null)
+ * @param {object} options - 探索条件
+ * @param {Array<object>} targetFolders - 収集結果の格納先
+ */
+function collectTargetFolders(
+  folder,
+  path,
+  depth,
+  targetFolder,
+  options,
+  targetFolders
+) {
+  if (targetFolder) {
+    const files = folder.getFiles();
+    while (files.hasNext()) {
+      const file = files.next();
+      const fileName = file.getName();
+      const included =
+        options.fileIncludePatterns.length === 0 ||
+        options.fileIncludePatterns.some((pattern) => pattern.test(fileName));
+      const excluded = options.fileExcludePatterns.some((pattern) =>
+        pattern.test(fileName)
+      );
+      if (included && !excluded) {
+        targetFolder.files.push({ file, folderPath: path });
+      }
+    }
+  }
+
+  if (depth >= options.maxDepth) return;
+
+  const subFolders = folder.getFolders();
+  while (subFolders.hasNext()) {
+    const subFolder = subFolders.next();
+    const subFolderName = subFolder.getName();
+    if (
+      options.folderExcludePatterns.some((pattern) =>
+        pattern.test(subFolderName)
+      )
+    ) {
+      continue; // 除外パターンに一致するフォルダは配下も含めてスキップ
+    }
+
+    const subPath = path ? `${path}/${subFolderName}` : subFolderName;
+    let subTargetFolder = targetFolder;
+    if (
+      !subTargetFolder &&
+      (options.folderIncludePatterns.length === 0 ||
+        options.folderIncludePatterns.some((pattern) =>
+          pattern.test(subFolderName)
+        ))
+    ) {
+      subTargetFolder = { folder: subFolder, path: subPath, files: [] };
+      targetFolders.push(subTargetFolder);
+    }
+    collectTargetFolders(
+      subFolder,
+      subPath,
+      depth + 1,
+      subTargetFolder,
+      options,
+      targetFolders
+    );
+  }
+}
+
+/**
+ * ファイルを処理する関数
+ * 同じJナンバー・カテゴリ・ユニットのファイルは、最も新しい版 (版判定.js) のものだけを使用する。
+ * 版に差がつかない場合は先に見つかったファイルを使用し、版の競合として記録する
+ * @param {Array<object>} files - 処理するファイルの配列 ({ file, folderPath, excelResult })
+ * @returns {object} - 結合されたデータ、処理したファイル数、Jナンバーのセット、ユニットナンバーのセット、ファイルごとの処理結果、置換された版の組、版の競合、行ルールごとの結果、データ行ごとの元ファイルと行番号
+ */
+function processFiles(files) {
+  let headerRow = null;
   const jNumberSet = new Set();
   const unitNumberSet = new Set();
   const categories = new Set();
   const processedFileKeys = new Map();
+  const fileReports = [];
+  const revisionPairs = [];
+  const revisionConflictsByKey = new Map();
+  const revisionStrategyNames = getRevisionStrategyNames();
 
-  let filenamePartsByCategory = {
-    購入: [],
-    製作: [],
-    電気: [],
-  };
-
-  while (fileIterator.hasNext()) {
-    const file = fileIterator.next();
+  for (const { file, folderPath, excelResult } of files) {
     const fileName = file.getName();
+    const jNumber = extractJNumber(fileName); // Jナンバー抽出関数の呼び出し
+    const report = {
+      folderPath,
+      fileName,
+      jNumber,
+      category: determineCategory(fileName),
+      unitNumber: "",
+      used: false,
+      reason: "",
+      rowCount: 0,
+    };
+    fileReports.push(report);
 
-    if (!validExtensions.some((ext) => fileName.toLowerCase().endsWith(ext))) {
+    if (!VALID_EXTENSIONS.some((ext) => fileName.toLowerCase().endsWith(ext))) {
+      report.reason = SKIP_REASONS.INVALID_EXTENSION;
       continue; // 対応していない拡張子はスキップ
     }
 
-    const jNumber = extractJNumber(fileName); // Jナンバー抽出関数の呼び出し
     if (jNumber) jNumberSet.add(jNumber);
 
-    const result = processExcelFile(file, settings.TARGET_SHEET_NAME);
-    if (!result) {
+    // 読み込み済みの結果があればそれを使う (バッチ処理の再開時)
+    const result =
+      excelResult || processExcelFile(file, getSettings().TARGET_SHEET_NAME);
+    if (!result.fileData) {
       console.warn(`警告: ${fileName} からデータを取得できませんでした`);
+      report.reason = result.skipReason;
       continue;
     }
-    const { fileData, category } = result;
+    const { fileData, category, sourceRowNumbers, ruleCounts } = result;
     if (category) categories.add(category);
+    if (!headerRow) headerRow = fileData[0].concat([getJNumberHeader()]);
 
     // 重複チェックとファイル選択
     const { unitNumbers, categoryForCheck } = collectUnitNumbersForCheck(
       fileData,
       category
     );
+    report.unitNumber = unitNumbers;
+    report.rowCount = fileData.length - 1;
+    if (report.rowCount === 0) {
+      // 有効な行がないファイルは、行のある古い版を置き換えないように重複チェックの前でスキップする
+      report.reason = SKIP_REASONS.NO_VALID_ROWS;
+      continue;
+    }
+
     const fileKey = `${jNumber}_${categoryForCheck}_${unitNumbers}`;
-    const datePrefixLength = 8; // YYYYMMDDの長さを定数化
-    const currentDate = parseInt(fileName.substring(0, datePrefixLength));
+    const fileInfo = {
+      file: file,
+      date: REVISION_STRATEGIES.datePrefix.getRevision(file, fileName),
+      revision: getFileRevision(file, revisionStrategyNames),
+      ruleCounts: ruleCounts || [],
+      rows: fileData.slice(1).map((row) => row.concat([jNumber])), // ヘッダー行を除外し、Jナンバー列を追加
+      sources: fileData.slice(1).map((row, index) => ({
+        folderPath,
+        fileName,
+        fileUrl: file.getUrl(),
+        rowNumber: sourceRowNumbers ? sourceRowNumbers[index] : "",
+      })),
+      report,
+    };
 
     if (processedFileKeys.has(fileKey)) {
       const existingFileInfo = processedFileKeys.get(fileKey);
-      const existingFile = existingFileInfo.file;
-      const existingDate = existingFileInfo.date;
-
-      if (currentDate > existingDate) {
-        processedFileKeys.set(fileKey, { file: file, date: currentDate });
-        combinedDataRows = combinedDataRows.filter(
-          (row) => !row.includes(existingFile.getName())
-        );
-        combinedDataRows = combinedDataRows.concat(fileData.slice(1)); // ヘッダー行を除外
+      const comparison = compareFileRevisions(
+        fileInfo.revision,
+        existingFileInfo.revision
+      );
+
+      if (comparison > 0) {
+        processedFileKeys.set(fileKey, fileInfo);
+        existingFileInfo.report.used = false;
+        existingFileInfo.report.reason = `${SKIP_REASONS.SUPERSEDED}: ${fileName}`;
+        revisionPairs.push(buildRevisionPair(existingFileInfo, fileInfo));
+        // 置き換えられたファイルとの競合は解消される
+        (revisionConflictsByKey.get(fileKey) || []).forEach((conflict) => {
+          conflict.skippedReport.reason = `${SKIP_REASONS.SUPERSEDED}: ${fileName}`;
+        });
+        revisionConflictsByKey.delete(fileKey);
+      } else if (comparison < 0) {
+        report.reason = `${
+          SKIP_REASONS.SUPERSEDED
+        }: ${existingFileInfo.file.getName()}`;
+        revisionPairs.push(buildRevisionPair(fileInfo, existingFileInfo));
+        continue;
       } else {
+        report.reason = `${
+          SKIP_REASONS.REVISION_CONFLICT
+        }: ${existingFileInfo.file.getName()}`;
+        if (!revisionConflictsByKey.has(fileKey))
+          revisionConflictsByKey.set(fileKey, []);
+        revisionConflictsByKey.get(fileKey).push({
+          jNumber,
+          category: categoryForCheck,
+          unitNumber: unitNumbers,
+          revision: formatFileRevision(fileInfo.revision),
+          usedReport: existingFileInfo.report,
+          skippedReport: report,
+        });
         continue;
       }
     } else {
-      processedFileKeys.set(fileKey, { file: file, date: currentDate });
-      let filenamePart = processFilename(fileName, category);
-      if (filenamePart !== "") {
-        switch (category) {
-          case "購入":
-            filenamePartsByCategory["購入"].push(filenamePart);
-            break;
-          case "製作":
-            filenamePartsByCategory["製作"].push(filenamePart);
-            break;
-          case "電気":
-            filenamePartsByCategory["電気"].push(filenamePart);
-            break;
-        }
-      }
-
-      if (processedFiles === 0) {
-        combinedDataRows = fileData;
-      } else {
-        combinedDataRows = combinedDataRows.concat(fileData.slice(1)); // ヘッダー行を除外
-      }
+      processedFileKeys.set(fileKey, fileInfo);
     }
-    processedFiles++;
+    report.used = true;
   }
 
+  // 採用されたファイルのデータを結合
+  let combinedDataRows = [];
+  let rowSources = [];
+  processedFileKeys.forEach((fileInfo) => {
+    combinedDataRows = combinedDataRows.concat(fileInfo.rows);
+    rowSources = rowSources.concat(fileInfo.sources);
+  });
+  if (headerRow) combinedDataRows.unshift(headerRow);
+  const processedFiles = processedFileKeys.size;
+  const revisionConflicts = [].concat(...revisionConflictsByKey.values());
+  const rowRuleResults = summarizeRowRuleCounts(
+    Array.from(processedFileKeys.values()).map(
+      (fileInfo) => fileInfo.ruleCounts
+    )
+  );
+
+  const filenamePartsByCategory = buildFilenamePartsByCategory(fileReports);
+
+  return {
+    combinedDataRows,
+    processedFiles,
+    jNumberSet,
+    unitNumberSet,
+    categories,
+    filenamePartsByCategory,
+    fileReports,
+    revisionPairs,
+    revisionConflicts,
+    rowRuleResults,
+    rowSources,
+  };
+}
+
+/**
+ * 使用されたファイルのファイル名部分をカテゴリごとに集める関数
+ * @param {Array<object>} fileReports - ファイルごとの処理結果
+ * @returns {object} - カテゴリごとのファイル名部分 (カテゴリ表の並び順、各カテゴリはUnit番号順)
+ */
+function buildFilenamePartsByCategory(fileReports) {
+  const filenamePartsByCategory = {};
+  loadCategories().forEach(
+    (category) => (filenamePartsByCategory[category.name] = [])
+  );
+
+  fileReports
+    .filter((report) => report.used)
+    .forEach((report) => {
+      const filenamePart = processFilename(report.fileName, report.category);
+      if (filenamePart !== "" && filenamePartsByCategory[report.category]) {
+        filenamePartsByCategory[report.category].push(filenamePart);
+      }
+    });
+
   // 各カテゴリのファイル名部分をソート
   for (let category in filenamePartsByCategory) {
     if (filenamePartsByCategory.hasOwnProperty(category)) {
@@ -225,215 +642,178 @@ function processFiles(fileIterator) {
     }
   }
 
-  return {
-    combinedDataRows,
-    processedFiles,
-    jNumberSet,
-    unitNumberSet,
-    categories,
-    filenamePartsByCategory,
-  };
+  return filenamePartsByCategory;
 }
 
 /**
- * 特定のルールに基づいてファイル名を処理する関数
+ * カテゴリ表の略称とUnit番号からファイル名部分を作成する関数
  * @param {string} fileName - ファイル名
  * @param {string} category - カテゴリ
- * @returns {string} - 処理されたファイル名部分
+ * @returns {string} - 処理されたファイル名部分 (例: "購03"。略称のないカテゴリは空文字列)
  */
 function processFilename(fileName, category) {
-  let filenamePart = "";
-
-  // カテゴリに基づいてプレフィックスを設定
-  let categoryPrefix = "";
-  switch (category) {
-    case "製作":
-      categoryPrefix = "製";
-      break;
-    case "購入":
-      categoryPrefix = "購";
-      break;
-    case "電気":
-      categoryPrefix = "電";
-      break;
-    default:
-      categoryPrefix = "";
-  }
+  const categoryInfo = findCategory(category);
+  if (!categoryInfo || categoryInfo.prefix === "") return "";
 
-  // ユニット番号を抽出 (電気の場合はユニット番号なし)
+  // ユニット番号を抽出 (Unit番号を使わないカテゴリは略称のみ)
   const unitNumberLength = 2; // ユニット番号の桁数
-  if (category !== "電気" && categoryPrefix !== "") {
-    const unitMatch = fileName.match(/(\d+)unit/i);
-    if (unitMatch && unitMatch[1]) {
-      const unitNumber = unitMatch[1].padStart(unitNumberLength, "0");
-      filenamePart = `${categoryPrefix}${unitNumber}`;
-    } else {
-      filenamePart = categoryPrefix;
-    }
-  } else if (category === "電気") {
-    filenamePart = categoryPrefix;
+  if (!categoryInfo.hasUnits) return categoryInfo.prefix;
+  const unitMatch = fileName.match(/(\d+)unit/i);
+  if (unitMatch && unitMatch[1]) {
+    const unitNumber = unitMatch[1].padStart(unitNumberLength, "0");
+    return `${categoryInfo.prefix}${unitNumber}`;
   }
-
-  return filenamePart;
+  return categoryInfo.prefix;
 }
 
 /**
  * ユニット番号を収集し、重複チェック用にフォーマットする関数
+ * ファイルに含まれるすべてのユニット番号を、番号順に "-" でつなぐ ("03" と "3" は同じ番号とする)
  * @param {Array<Array<string>>} data - スプレッドシートから取得したデータ
  * @param {string} category - カテゴリ
  * @returns {object} - ユニット番号とカテゴリ
  */
 function collectUnitNumbersForCheck(data, category) {
-  let unitNumbers = "";
   let categoryForCheck = category;
   const FIRST_DATA_ROW_INDEX = 1; // データ開始行
+  const UNIT_INDEX = toCombinedIndex(OUTPUT_COLUMNS.UNIT);
+  const unitNumberSet = new Set();
   for (let i = FIRST_DATA_ROW_INDEX; i < data.length; i++) {
-    if (data[i][1] !== undefined && data[i][1] !== "") {
-      let unitNum = String(data[i][1])
+    if (data[i][UNIT_INDEX] !== undefined && data[i][UNIT_INDEX] !== "") {
+      let unitNum = String(data[i][UNIT_INDEX])
         .trim()
         .replace(/[^0-9]/g, "");
-      unitNumbers = unitNum;
-      break;
+      if (unitNum !== "") unitNumberSet.add(Number(unitNum));
     }
   }
+  const unitNumbers = Array.from(unitNumberSet)
+    .sort((a, b) => a - b)
+    .join("-");
   return { unitNumbers, categoryForCheck };
 }
 
 /**
  * ファイル名からカテゴリを判定する関数
+ * カテゴリ表のファイル名の語を "_<語>_" の形で探す
  * @param {string} fileName - ファイル名
  * @returns {string} - カテゴリ
  */
 function determineCategory(fileName) {
-  const match = fileName.match(/_(製作|購入|電気)_/);
-  return match ? match[1] : "";
+  const category = loadCategories().find((category) =>
+    fileName.includes(`_${category.token}_`)
+  );
+  return category ? category.name : "";
 }
 
 /**
  * Excelファイルを処理する関数
  * @param {File} file - 処理するExcelファイル
  * @param {string} targetSheetName - 対象のシート名
- * @returns {object|null} - 処理結果 (ファイルデータとカテゴリ) または null
+ * @returns {object} - 処理結果 (ファイルデータ、カテゴリ、データ行ごとの元シートの行番号、行ルールごとの除外・変更行数、読み込めない場合は fileData が null で skipReason に理由)
  */
 function processExcelFile(file, targetSheetName) {
-  let convertedFileId = null;
   let category = "";
-  const FIRST_COLUMN = 0; // A列
-  const REMOVE_COLUMN_COUNT = 1; // 削除する列数
-  const REQUIRED_COLUMN_COUNT = 9; // 必要な列数
 
   try {
-    const blob = file.getBlob();
-    const uploadResponse = UrlFetchApp.fetch(
-      "https://www.googleapis.com/upload/drive/v2/files?uploadType=multipart&convert=true",
-      {
-        method: "POST",
-        headers: { Authorization: "Bearer " + ScriptApp.getOAuthToken() },
-        contentType: "application/vnd.ms-excel",
-        payload: blob.getBytes(),
-      }
-    );
-    convertedFileId = JSON.parse(uploadResponse.getContentText()).id;
-    const convertedSheet = SpreadsheetApp.openById(convertedFileId);
-    const sheet = convertedSheet.getSheetByName(targetSheetName);
+    const sheetValues = readSheetValues(file, targetSheetName);
 
-    if (!sheet) {
+    if (!sheetValues) {
       console.warn(
         `シート「${targetSheetName}」が見つかりません: ${file.getName()}`
       );
-      return null;
+      return {
+        fileData: null,
+        category,
+        skipReason: SKIP_REASONS.SHEET_NOT_FOUND,
+      };
     }
-    const validRows = findLastDataRow(sheet);
-    let data = sheet
-      .getRange(1, 1, validRows, sheet.getLastColumn())
-      .getValues();
-
-    // データ整形: 不要な列の削除と必要な列数の確認
-    data = data.map((row) => {
-      let newRow = [...row];
-      newRow.splice(FIRST_COLUMN, REMOVE_COLUMN_COUNT); // 最初の1列を削除
-      return newRow.slice(0, REQUIRED_COLUMN_COUNT);
-    });
 
-    // データフィルタリング: 社内在庫なしの行を除外
-    const STOCK_STATUS_COLUMN_INDEX = 2;
-    const excludeStockStatus = "社内在庫なし";
-    data = data.filter(
-      (row, index) =>
-        index === 0 || row[STOCK_STATUS_COLUMN_INDEX] !== excludeStockStatus
+    // ヘッダー行から元の列を探す
+    const { columnIndexes, missingHeaders } = resolveSourceColumns(
+      sheetValues[0] || []
     );
+    if (missingHeaders.length > 0) {
+      console.warn(
+        `必須列が見つかりません (${file.getName()}): ${missingHeaders.join(
+          ", "
+        )}`
+      );
+      return {
+        fileData: null,
+        category,
+        skipReason: `${SKIP_REASONS.MISSING_COLUMNS}: ${missingHeaders.join(
+          ", "
+        )}`,
+      };
+    }
+
+    const unitSourceIndex =
+      columnIndexes[SOURCE_OUTPUT_COLUMN_LETTERS.indexOf("E")];
+    const validRows = findLastDataRow(sheetValues, unitSourceIndex);
 
     const fileName = file.getName();
     category = determineCategory(fileName);
-    const DATE_FORMAT_COLUMN_L = 7;
-    // 購入と電気の場合、L列をクリア
-    if (category === "購入" || category === "電気") {
-      for (let i = 1; i < data.length; i++) {
-        data[i][DATE_FORMAT_COLUMN_L] = "";
-      }
-    }
 
-    // カテゴリ列の追加
-    data = data.map((row, index) => {
+    // データ整形: 出力列の並びに組み替えてカテゴリ列を追加
+    let data = sheetValues.slice(0, validRows).map((row, index) => {
       const FIRST_ROW_INDEX = 0;
+      const mappedRow = mapSourceRow(row, columnIndexes);
       if (index === FIRST_ROW_INDEX) {
-        return [COLUMN_NAMES.D].concat(row);
+        return [getSettings().COLUMN_NAMES.D].concat(mappedRow);
       } else {
-        return [category].concat(row);
+        return [category].concat(mappedRow);
       }
     });
 
+    // カテゴリ表で指定された列をクリア (購入・電気のL列など)
+    // 行ルールで設定した値が優先されるように、行ルールより先にクリアする
+    clearCategoryColumns(data.slice(1), category);
+
+    // 行ルール (行ルール.js) で行を除外・変換
+    const { rows, keptIndexes, ruleCounts } = applyRowRules(
+      data.slice(1),
+      category,
+      loadRowRules()
+    );
+    data = [data[0]].concat(rows);
+    const sourceRowNumbers = keptIndexes.map((index) => index + 2); // データ行ごとの元シートの行番号
+
+    const DATE_L_INDEX = toCombinedIndex(OUTPUT_COLUMNS.DATE_L);
+    const DATE_M_INDEX = toCombinedIndex(OUTPUT_COLUMNS.DATE_M);
+
     // 日付フォーマット
     data = data.map((row, index) => {
       const FIRST_ROW_INDEX = 0;
-      const DATE_FORMAT_COLUMN_M = 8;
-      const DATE_FORMAT_COLUMN_N = 9;
       if (index === FIRST_ROW_INDEX) return row;
-      const dateL = row[DATE_FORMAT_COLUMN_M];
-      const dateM = row[DATE_FORMAT_COLUMN_N];
+      const dateL = row[DATE_L_INDEX];
+      const dateM = row[DATE_M_INDEX];
       if (dateL instanceof Date) {
-        row[DATE_FORMAT_COLUMN_M] = Utilities.formatDate(
-          dateL,
-          "JST",
-          "yyyy/MM/dd"
-        );
+        row[DATE_L_INDEX] = Utilities.formatDate(dateL, "JST", "yyyy/MM/dd");
       }
       if (dateM instanceof Date) {
-        row[DATE_FORMAT_COLUMN_N] = Utilities.formatDate(
-          dateM,
-          "JST",
-          "yyyy/MM/dd"
-        );
+        row[DATE_M_INDEX] = Utilities.formatDate(dateM, "JST", "yyyy/MM/dd");
       }
       return row;
     });
-    return { fileData: data, category };
+    return { fileData: data, category, sourceRowNumbers, ruleCounts };
   } catch (e) {
     console.error(`エラー発生 (${file.getName()}): ${e.toString()}`);
-    return null;
-  } finally {
-    if (convertedFileId) {
-      try {
-        DriveApp.getFileById(convertedFileId).setTrashed(true);
-      } catch (e) {
-        console.error(
-          `一時ファイルの削除に失敗: ${convertedFileId}, error: ${e.toString()}`
-        );
-      }
-    }
+    return {
+      fileData: null,
+      category,
+      skipReason: `${SKIP_REASONS.READ_ERROR}: ${e.message}`,
+    };
   }
 }
 /**
  * シートの最終データ行を検出する関数
- * @param {Sheet} sheet - 対象のシート
+ * @param {Array<Array<*>>} values - シートの値
+ * @param {number} checkColumnIndex - 確認する列のインデックス (Unit番号の列)
  * @returns {number} - 最終データ行の行番号
  */
-function findLastDataRow(sheet) {
-  const lastRow = sheet.getLastRow();
-  const CHECK_COLUMN = 2; // 確認する列 (B列)
-  const values = sheet.getRange(1, CHECK_COLUMN, lastRow, 1).getValues();
+function findLastDataRow(values, checkColumnIndex) {
   for (let i = values.length - 1; i >= 0; i--) {
-    const cellValue = values[i][0];
+    const cellValue = values[i][checkColumnIndex];
     if (cellValue !== "" && cellValue !== null && cellValue !== undefined) {
       return i + 1;
     }
@@ -469,6 +849,40 @@ function getCurrentDateTime(format = "YYYYMMDD-HHMM") {
   }
 }
 
+/**
+ * 出力スプレッドシートのファイル名を作成する関数
+ * @param {Set<string>} jNumberSet - Jナンバーのセット
+ * @param {object} filenamePartsByCategory - カテゴリごとのファイル名部分
+ * @returns {string} - ファイル名 (Jナンバー_購01-02_製01_電_YYYYMMDD-HHMM)
+ */
+function buildOutputFileName(jNumberSet, filenamePartsByCategory) {
+  const dateTime = getCurrentDateTime(); // 現在の日時を取得
+  const jNumber = Array.from(jNumberSet).sort().join("-"); // Jナンバー (複数の場合はすべて)
+
+  // カテゴリごとにファイル名部分を結合 (カテゴリ表の並び順)
+  let combinedFilenameBase = "";
+  let filenameParts = [];
+  loadCategories().forEach((category) => {
+    const parts = filenamePartsByCategory[category.name] || [];
+    if (parts.length === 0) return;
+    if (!category.hasUnits) {
+      filenameParts.push(category.prefix);
+      return;
+    }
+    filenameParts.push(
+      category.prefix +
+        parts.map((part) => part.slice(category.prefix.length)).join("-")
+    );
+  });
+  combinedFilenameBase = filenameParts.join("_");
+
+  // combinedFilenameBaseが空でない場合にアンダースコアを追加
+  let underscore = combinedFilenameBase !== "" ? "_" : "";
+
+  // ファイル名に元のファイル名の一部を追加
+  return `${jNumber}${underscore}${combinedFilenameBase}_${dateTime}`;
+}
+
 /**
  * スプレッドシートを作成する関数
  * @param {Array<Array<string>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
@@ -485,28 +899,47 @@ function createSpreadsheet(
   categories,
   filenamePartsByCategory
 ) {
-  const DATA_START_ROW = 2; // データ開始行
-  const SERIAL_NUMBER_COLUMN = 3; // 連番列 (C列)
-
   if (combinedDataRows.length === 0) {
     console.warn("データがないためスプレッドシートを作成しません。"); // データがない場合の警告
     return null;
   }
 
-  const dateTime = getCurrentDateTime(); // 現在の日時を取得
-  const jNumber = Array.from(jNumberSet)[0] || ""; // Jナンバー
+  const finalData = buildFinalData(combinedDataRows);
+  const newFileName = buildOutputFileName(jNumberSet, filenamePartsByCategory);
+
+  // テンプレートスプレッドシートをコピー
+  const newSpreadsheet = copySpreadsheet(
+    getSettings().TEMPLATE_SPREADSHEET_ID,
+    newFileName,
+    getSettings().OUTPUT_FOLDER_ID
+  );
+
+  const newSheet = newSpreadsheet.getActiveSheet();
+  writeOutputSheet(newSheet, finalData);
+
+  return newSpreadsheet;
+}
+
+/**
+ * 結合データから出力シート用のデータ (チェックボックス列・連番列・ヘッダー行付き) を作成する関数
+ * @param {Array<Array<string>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
+ * @returns {Array<Array<*>>} - 出力シートに書き込むデータ
+ */
+function buildFinalData(combinedDataRows) {
+  const columnNames = getSettings().COLUMN_NAMES;
   // ヘッダー行
   const headerRow = [
-    COLUMN_NAMES.D,
-    COLUMN_NAMES.E,
-    COLUMN_NAMES.F,
-    COLUMN_NAMES.G,
-    COLUMN_NAMES.H,
-    COLUMN_NAMES.I,
-    COLUMN_NAMES.J,
-    COLUMN_NAMES.K,
-    COLUMN_NAMES.L,
-    COLUMN_NAMES.M,
+    columnNames.D,
+    columnNames.E,
+    columnNames.F,
+    columnNames.G,
+    columnNames.H,
+    columnNames.I,
+    columnNames.J,
+    columnNames.K,
+    columnNames.L,
+    columnNames.M,
+    getJNumberHeader(),
   ];
   let dataRows = combinedDataRows.slice(1); // データ行
 
@@ -517,178 +950,127 @@ function createSpreadsheet(
 
   // ヘッダー行を追加
   finalData.unshift(
-    [COLUMN_NAMES.A, COLUMN_NAMES.B, COLUMN_NAMES.C].concat(headerRow)
+    [columnNames.A, columnNames.B, columnNames.C].concat(headerRow)
   );
+  return finalData;
+}
 
-  const unitNumbersStr = Array.from(unitNumberSet)
-    .filter((unit) => unit !== "")
-    .sort()
-    .join("-"); // ユニット番号
-
-  // カテゴリごとにファイル名部分を結合
-  let combinedFilenameBase = "";
-  let filenameParts = [];
-  if (filenamePartsByCategory["購入"].length > 0) {
-    filenameParts.push(
-      "購" +
-        filenamePartsByCategory["購入"].map((part) => part.slice(1)).join("-")
-    );
-  }
-  if (filenamePartsByCategory["製作"].length > 0) {
-    filenameParts.push(
-      "製" +
-        filenamePartsByCategory["製作"].map((part) => part.slice(1)).join("-")
-    );
-  }
-  if (filenamePartsByCategory["電気"].length > 0) {
-    filenameParts.push("電");
-  }
-  combinedFilenameBase = filenameParts.join("_");
-
-  // combinedFilenameBaseが空でない場合にアンダースコアを追加
-  let underscore = combinedFilenameBase !== "" ? "_" : "";
-
-  // ファイル名に元のファイル名の一部を追加
-  const newFileName = `${jNumber}${underscore}${combinedFilenameBase}_${dateTime}`;
-
-  // テンプレートスプレッドシートをコピー
-  const newSpreadsheet = copySpreadsheet(
-    settings.TEMPLATE_SPREADSHEET_ID,
-    newFileName,
-    settings.OUTPUT_FOLDER_ID
-  );
+/**
+ * 出力シートのデータ行を並べ替え、並べ替えた順に連番を振る関数
+ * 並び順は Jナンバー・カテゴリ・Unit番号・手配先・部品番号 (空欄は最後、数値は文字列より前)
+ * @param {Array<Array<*>>} finalData - 出力シート用のデータ（ヘッダー行を含む）
+ * @returns {Array<Array<*>>} - 並べ替えたデータ（ヘッダー行を含む）
+ */
+function sortOutputData(finalData) {
+  const SERIAL_NUMBER_INDEX = 2; // 連番列 (C列)
+  const SORT_INDEXES = [
+    OUTPUT_COLUMNS.JNUMBER,
+    OUTPUT_COLUMNS.CATEGORY,
+    OUTPUT_COLUMNS.UNIT,
+    OUTPUT_COLUMNS.SUPPLIER,
+    OUTPUT_COLUMNS.PART_NUMBER,
+  ].map((column) => column - 1);
+  const compareValues = (a, b) => {
+    const isBlankA = a === "" || a === null || a === undefined;
+    const isBlankB = b === "" || b === null || b === undefined;
+    if (isBlankA || isBlankB) return isBlankA - isBlankB;
+    const isNumberA = typeof a === "number";
+    const isNumberB = typeof b === "number";
+    if (isNumberA && isNumberB) return a - b;
+    if (isNumberA || isNumberB) return isNumberB - isNumberA;
+    return String(a).localeCompare(String(b));
+  };
 
-  const newSheet = newSpreadsheet.getActiveSheet();
+  const [headerRow, ...dataRows] = finalData;
+  dataRows.sort((rowA, rowB) => {
+    for (const index of SORT_INDEXES) {
+      const result = compareValues(rowA[index], rowB[index]);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+  dataRows.forEach((row, index) => (row[SERIAL_NUMBER_INDEX] = index + 1));
+  return [headerRow].concat(dataRows);
+}
 
-  const range = newSheet.getRange(1, 1, finalData.length, finalData[0].length);
-  range.setValues(finalData);
+/**
+ * 出力シートにデータを書き込み、書式・チェックボックスを設定する関数
+ * 並べ替え・連番・背景色はメモリ上で求め、範囲ごとにまとめて書き込む
+ * @param {Sheet} sheet - 書き込み先のシート
+ * @param {Array<Array<*>>} finalData - 出力シート用のデータ（ヘッダー行を含む）
+ */
+function writeOutputSheet(sheet, finalData) {
+  const SERIAL_NUMBER_COLUMN = 3; // 連番列 (C列)
+  const sortedData = sortOutputData(finalData);
+  const columnCount = sortedData[0].length;
+  const dataRowCount = sortedData.length - 1;
 
-  newSheet.setFrozenRows(1); // ヘッダー行を固定
+  sheet.getRange(1, 1, sortedData.length, columnCount).setValues(sortedData);
+  sheet.setFrozenRows(1); // ヘッダー行を固定
 
-  // ヘッダー行の書式設定
-  const headerRange = newSheet.getRange(1, 1, 1, finalData[0].length);
-  headerRange
+  // ヘッダー行の書式設定 (連番・Unit番号は右寄せ、それ以外は中央揃え)
+  sheet
+    .getRange(1, 1, 1, columnCount)
     .setBackground("#f3f3f3")
     .setFontWeight("bold")
-    .setHorizontalAlignment("center")
-    .setVerticalAlignment("middle");
-
-  // 連番ヘッダーの書式設定
-  const serialNumberRangeHeader = newSheet.getRange(
-    1,
-    SERIAL_NUMBER_COLUMN,
-    finalData.length,
-    1
-  );
-  serialNumberRangeHeader.setHorizontalAlignment("right");
-
-  // Unit番号列の書式設定
-  const unitRange = newSheet.getRange(1, 5, finalData.length, 1); // E列
-  unitRange.setHorizontalAlignment("right");
-
-  // 部品番号列の書式設定
-  const partNumberRange = newSheet.getRange(
-    2,
-    6,
-    combinedDataRows.length - 1,
-    1
-  ); // F列
-  partNumberRange.setNumberFormat("000");
-
-  // チェックボックスの設定
-  const checkboxRange1 = newSheet.getRange(2, 1, finalData.length - 1, 1); // A列
-  const checkboxRange2 = newSheet.getRange(2, 2, finalData.length - 1, 1); // B列
-  checkboxRange1.insertCheckboxes();
-  checkboxRange2.insertCheckboxes();
+    .setVerticalAlignment("middle")
+    .setHorizontalAlignments([
+      sortedData[0].map((value, index) =>
+        index + 1 === SERIAL_NUMBER_COLUMN || index + 1 === OUTPUT_COLUMNS.UNIT
+          ? "right"
+          : "center"
+      ),
+    ]);
 
   // 列幅の設定
-  Object.entries(settings.COLUMN_WIDTHS).forEach(([col, width]) => {
+  Object.entries(getSettings().COLUMN_WIDTHS).forEach(([col, width]) => {
     const columnIndex = col.charCodeAt(0) - "A".charCodeAt(0) + 1;
-    newSheet.setColumnWidth(columnIndex, width);
+    sheet.setColumnWidth(columnIndex, width);
   });
 
-  // カテゴリ列の書式設定
-  const categoryRange = newSheet.getRange(1, 4, finalData.length, 1); // D列
-  categoryRange.setHorizontalAlignment("center");
-
-  // Unit番号列の書式設定(数値フォーマット)
-  const unitNumberRange = newSheet.getRange(
-    2,
-    5,
-    combinedDataRows.length - 1,
-    1
-  ); // E列
-  unitNumberRange.setNumberFormat('00"unit"');
-
-  // 部品番号列の数値フォーマット
-  const partNumberRangeWithHyphen = newSheet.getRange(
-    2,
-    6,
-    combinedDataRows.length - 1,
-    1
-  );
-  partNumberRangeWithHyphen.setNumberFormat('"-"000');
-
-  // 連番の計算式を設定
-  const serialNumberFormulaRange = newSheet.getRange(
-    2,
-    SERIAL_NUMBER_COLUMN,
-    finalData.length - 1,
-    1
-  );
-  serialNumberFormulaRange.setFormula("=ROW()-1");
-  serialNumberFormulaRange.setNumberFormat("@"); // 書式を文字列に設定
-
-  // ソート
-  const sortRange = newSheet.getRange(
-    2,
-    1,
-    finalData.length - 1,
-    finalData[0].length
-  );
-  sortRange.sort([
-    { column: 4, ascending: true }, // カテゴリ
-    { column: 5, ascending: true }, // Unit番号
-    { column: 11, ascending: true }, // 手配先
-    { column: 6, ascending: true }, // 部品番号
-  ]);
+  if (dataRowCount === 0) return;
 
-  applyAlternatingRowColors(newSheet, finalData.length);
-
-  // カテゴリ別背景色
-  for (let i = DATA_START_ROW; i <= finalData.length; i++) {
-    const category = newSheet.getRange(i, 4).getValue();
-    const range2 = newSheet.getRange(i, 9); // I列
-    if (category === "製作") range2.setBackground("#e0ffff");
-    else if (category === "購入") range2.setBackground("#ffe4e1");
-    else if (category === "電気") range2.setBackground("#ffff00");
-  }
+  // チェックボックスの設定 (A列・B列)
+  sheet.getRange(2, 1, dataRowCount, 2).insertCheckboxes();
 
-  // 連番の計算式を値に変換
-  const lastRow = newSheet.getLastRow();
-
-  const serialNumberRange = newSheet.getRange(
-    2,
-    SERIAL_NUMBER_COLUMN,
-    lastRow - 1,
-    1
-  );
-  serialNumberRange.copyValuesToRange(
-    newSheet,
-    SERIAL_NUMBER_COLUMN,
-    SERIAL_NUMBER_COLUMN,
-    2,
-    lastRow
-  );
+  // 連番 (C列)・カテゴリ (D列)・Unit番号 (E列) の配置
+  sheet
+    .getRange(2, SERIAL_NUMBER_COLUMN, dataRowCount, 3)
+    .setHorizontalAlignments(
+      Array.from({ length: dataRowCount }, () => ["right", "center", "right"])
+    );
 
-  // ユニット単位で背景色を適用
-  const finalDataWithoutHeader = finalData.slice(1); // ヘッダー行を除外
-  applyUnitColors(newSheet, finalDataWithoutHeader);
+  // Unit番号 (E列)・部品番号 (F列) の数値フォーマット
+  sheet
+    .getRange(2, OUTPUT_COLUMNS.UNIT, dataRowCount, 2)
+    .setNumberFormats(
+      Array.from({ length: dataRowCount }, () => ['00"unit"', '"-"000'])
+    );
 
-  console.log("Final Data Without Header:", finalDataWithoutHeader);
-  applyUnitColors(newSheet, finalDataWithoutHeader);
+  // ユニット単位の背景色
+  const lastColumn = Math.max(sheet.getLastColumn(), columnCount);
+  sheet
+    .getRange(2, 1, dataRowCount, lastColumn)
+    .setBackgrounds(buildUnitBackgrounds(sortedData.slice(1), lastColumn));
+}
 
-  return newSpreadsheet;
+/**
+ * ユニットが変わるごとに交互になる背景色を求める関数
+ * @param {Array<Array<*>>} dataRows - 並べ替え済みの出力シートのデータ行 (ヘッダー行を除く)
+ * @param {number} columnCount - 背景色を設定する列数
+ * @returns {Array<Array<string>>} - 行ごとの背景色
+ */
+function buildUnitBackgrounds(dataRows, columnCount) {
+  const UNIT_INDEX = OUTPUT_COLUMNS.UNIT - 1;
+  let lastUnit = null;
+  let colorFlag = false;
+  return dataRows.map((row) => {
+    if (row[UNIT_INDEX] !== lastUnit) {
+      colorFlag = !colorFlag;
+      lastUnit = row[UNIT_INDEX];
+    }
+    return Array(columnCount).fill(colorFlag ? "#d3d3d3" : "#f0f0f0");
+  });
 }
 
 /**
@@ -717,27 +1099,9 @@ function applyRowHeights(sheet, rowCount, rowHeight) {
   const range = sheet.getRange(2, 1, rowCount - 1, sheet.getLastColumn());
   range.setVerticalAlignment("middle");
 }
-/**
- * 行に交互の背景色を適用する関数
- * @param {Sheet} sheet - 対象のシート
- * @param {number} rowCount - 行数
- */
-function applyAlternatingRowColors(sheet, rowCount) {
-  if (rowCount <= 1) return;
-  const lastColumn = sheet.getLastColumn();
-  const range = sheet.getRange(2, 1, rowCount - 1, lastColumn);
-  const backgrounds = [];
-
-  for (let i = 0; i < rowCount - 1; i++) {
-    const rowColor = i % 2 === 0 ? "#ffffff" : "#f2f2f2";
-    backgrounds.push(Array(lastColumn).fill(rowColor));
-  }
-
-  range.setBackgrounds(backgrounds);
-}
-
 /**
  * 条件付き書式を適用する関数
+ * チェック済み行と日付以外の色分けは、設定スプレッドシートの書式ルール表から作成する
  * @param {Sheet} sheet - 対象のシート
  * @param {Array<Array<string>>} data - データ配列
  */
@@ -746,19 +1110,9 @@ function applyConditionalFormatting(sheet, data) {
     return;
   }
 
-  const categoryCol = 4;
-  const supplierCol = 11;
-  const processingCol = 10;
-  const dateCols = [12, 13];
+  const dateCols = [OUTPUT_COLUMNS.DATE_L, OUTPUT_COLUMNS.DATE_M];
   const lastColumn = sheet.getLastColumn();
 
-  try {
-    const rules = sheet.getConditionalFormatRules();
-    rules.forEach((rule) => sheet.removeConditionalFormatRule(rule));
-  } catch (e) {
-    console.warn("条件付き書式のクリアに失敗しました。");
-  }
-
   const checkedBackgroundColorRule = SpreadsheetApp.newConditionalFormatRule()
     .whenFormulaSatisfied(`=$A2=TRUE`)
     .setBackground("#a9a9a9")
@@ -771,205 +1125,44 @@ function applyConditionalFormatting(sheet, data) {
     .setRanges([sheet.getRange(2, 1, data.length - 1, lastColumn)])
     .build();
 
-  const categoryRules = [
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("製作")
-      .setBackground("#add8e6")
-      .setRanges([sheet.getRange(2, categoryCol, data.length - 1, 1)])
-      .build(),
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("購入")
-      .setBackground("#ffc0cb")
-      .setRanges([sheet.getRange(2, categoryCol, data.length - 1, 1)])
-      .build(),
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("電気")
-      .setBackground("#ffff00")
-      .setRanges([sheet.getRange(2, categoryCol, data.length - 1, 1)])
-      .build(),
-  ];
-
-  const supplierRules = [
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("社内")
-      .setBackground("#90ee90")
-      .setRanges([sheet.getRange(2, supplierCol, data.length - 1, 1)])
-      .build(),
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("MISUMI")
-      .setBackground("#ffff00")
-      .setRanges([sheet.getRange(2, supplierCol, data.length - 1, 1)])
-      .build(),
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("KEYENCE")
-      .setBackground("#d3d3d3")
-      .setRanges([sheet.getRange(2, supplierCol, data.length - 1, 1)])
-      .build(),
-  ];
+  // 手配先・表面処理などの色分けは書式ルール表から作成
+  const tableRules = loadFormattingRules().map((rule) =>
+    buildFormattingRule(sheet, rule, data.length)
+  );
 
-  const processingRules = [
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("塗装")
-      .setBackground("#add8e6")
-      .setRanges([sheet.getRange(2, processingCol, data.length - 1, 1)])
-      .build(),
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("ユニクロ")
-      .setBackground("#ffc0cb")
-      .setRanges([sheet.getRange(2, processingCol, data.length - 1, 1)])
-      .build(),
+  const dateRules = dateCols.map((col) =>
     SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("アルマイト")
-      .setBackground("#90ee90")
-      .setRanges([sheet.getRange(2, processingCol, data.length - 1, 1)])
-      .build(),
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("硬質クロム")
-      .setBackground("#dda0dd")
-      .setRanges([sheet.getRange(2, processingCol, data.length - 1, 1)])
-      .build(),
-    SpreadsheetApp.newConditionalFormatRule()
-      .whenTextEqualTo("無電解ニッケル")
-      .setBackground("#ffa500")
-      .setRanges([sheet.getRange(2, processingCol, data.length - 1, 1)])
-      .build(),
-  ];
-
-  const dateRules = [];
-  dateCols.forEach((col) => {
-    const rule = SpreadsheetApp.newConditionalFormatRule()
       .whenFormulaSatisfied(`=INDIRECT("RC",FALSE)<TODAY()`)
       .setFontColor("#ff0000")
       .setRanges([sheet.getRange(2, col, data.length - 1, 1)])
-      .build();
-    dateRules.push(rule);
-    const dateRange = sheet.getRange(2, col, data.length - 1, 1);
-    dateRange.setNumberFormat("mm/dd_aaa");
-  });
+      .build()
+  );
+  // L列・M列は隣り合っているため日付の書式はまとめて設定する
+  sheet
+    .getRange(2, OUTPUT_COLUMNS.DATE_L, data.length - 1, dateCols.length)
+    .setNumberFormat("mm/dd_aaa");
 
+  // 既存の条件付き書式はすべて置き換える
   sheet.setConditionalFormatRules(
     [checkedBackgroundColorRule, checkedTextColorRule]
-      .concat(categoryRules)
-      .concat(supplierRules)
-      .concat(processingRules)
+      .concat(tableRules)
       .concat(dateRules)
   );
 }
 
-/**
- * ユニット単位で背景色を適用する関数
- * @param {Sheet} sheet - 対象のシート
- * @param {Array<Array<string>>} data - データ配列
- */
-function applyUnitColors(sheet, data) {
-  const UNIT_COLUMN = 5; // E列
-  const DATA_START_ROW = 2;
-
-  if (data.length <= 1) return;
-  let lastUnit = null;
-  let colorFlag = false;
-  const ranges = [];
-  const backgrounds = [];
-
-  for (let i = 0; i < data.length; i++) {
-    const currentUnit = data[i][UNIT_COLUMN - 1];
-    if (currentUnit !== lastUnit) {
-      colorFlag = !colorFlag;
-      lastUnit = currentUnit;
-    }
-    ranges.push(i + DATA_START_ROW);
-    backgrounds.push(colorFlag ? "#d3d3d3" : "#f0f0f0");
-  }
-
-  const range = sheet.getRange(
-    DATA_START_ROW,
-    1,
-    data.length,
-    sheet.getLastColumn()
-  );
-  const backgroundColors = range.getBackgrounds();
-
-  for (let i = 0; i < ranges.length; i++) {
-    const rowIndex = ranges[i] - DATA_START_ROW;
-    for (let j = 0; j < backgroundColors[rowIndex].length; j++) {
-      backgroundColors[rowIndex][j] = backgrounds[i];
-    }
-  }
-
-  range.setBackgrounds(backgroundColors);
-}
-
-// ユニット単位で背景色を適用
-const finalDataWithoutHeader = finalData.slice(1); // ヘッダー行を除外
-applyUnitColors(newSheet, finalDataWithoutHeader);
-
-console.log("Final Data Without Header:", finalDataWithoutHeader);
-applyUnitColors(newSheet, finalDataWithoutHeader);
-
-// ...existing code...
-
-/**
- * 複数のセルに背景色を設定する関数
- * @param {Sheet} sheet - 対象のシート
- * @param {Array<Array<number|string>>} ranges - [行番号, 列番号, 色]の配列
- */
-function setBackgroundColors(sheet, ranges) {
-  const backgrounds = ranges.map(([row, col, color]) => {
-    return [color];
-  });
-
-  const range = sheet.getRange(ranges[0][0], ranges[0][1], ranges.length, 1);
-  range.setBackgrounds(backgrounds);
-}
-
-/**
- * ユーザーに指定されたフォルダ内のサブフォルダ選択ダイアログを表示し、選択されたフォルダのIDを取得する関数
- * @returns {string} - 選択されたフォルダのID
- */
-function selectFolder() {
-  const parentFolderId = "1v9HrinPjhW-ey5WSrX8GNouyt3eWDqxR"; // 指定されたフォルダのID
-  const parentFolder = DriveApp.getFolderById(parentFolderId);
-  const folders = parentFolder.getFolders();
-  const folderNames = [];
-  const folderIds = [];
-
-  while (folders.hasNext()) {
-    const folder = folders.next();
-    const folderName = folder.getName();
-    if (!folderName.startsWith("@")) {
-      folderNames.push(folderName);
-      folderIds.push(folder.getId());
-    }
-  }
-
-  const ui = SpreadsheetApp.getUi();
-  const response = ui.prompt(
-    "フォルダ選択",
-    "以下のフォルダから選択してください:\n" + folderNames.join("\n"),
-    ui.ButtonSet.OK_CANCEL
-  );
-
-  if (response.getSelectedButton() == ui.Button.OK) {
-    const folderName = response.getResponseText();
-    const folderIndex = folderNames.indexOf(folderName);
-    if (folderIndex !== -1) {
-      return folderIds[folderIndex];
-    } else {
-      ui.alert("無効なフォルダ名です。");
-      return null;
-    }
-  } else {
-    ui.alert("フォルダ選択がキャンセルされました。");
-    return null;
-  }
-}
-
 /**
  * スプレッドシートを開いたときにカスタムメニューを追加する関数
  */
 function onOpen() {
   const ui = SpreadsheetApp.getUi();
   ui.createMenu("変換メニュー")
-    .addItem("対象フォルダの選択", "combineExcelSheets")
+    .addItem("対象フォルダの選択", "showFolderBrowser")
+    .addItem("バッチ処理の状況", "showMergeJobStatus")
+    .addSeparator()
+    .addItem("自動処理を有効にする", "installAutoProcessTrigger")
+    .addItem("自動処理を無効にする", "uninstallAutoProcessTrigger")
+    .addSeparator()
+    .addItem("設定プロファイルの選択", "selectSettingsProfile")
+    .addItem("設定の検証", "showSettingsValidation")
     .addToUi();
 }
@@ -0,0 +1,394 @@
+/**
+ * 実行時間の上限を超えても再開できるバッチ処理
+ * ファイルごとの読み込み結果をDriveの一時ファイルに保存し、時間主導トリガーで続きから処理します。
+ * すべてのファイルを読み込んだ後に、出力スプレッドシートを作成します。
+ */
+
+const MERGE_JOB_PROPERTY_KEY = "MERGE_JOB";
+const MERGE_JOB_HANDLER = "continueMergeJob";
+const MERGE_JOB_TIME_BUDGET_MS = 4.5 * 60 * 1000; // 1回の実行で処理する時間 (上限6分)
+const MERGE_JOB_CONTINUE_DELAY_MS = 60 * 1000; // 続きを実行するまでの待ち時間
+const MERGE_JOB_SAVE_INTERVAL = 5; // 読み込み結果を保存するファイル数の間隔
+const MERGE_JOB_STATUS = {
+  RUNNING: "処理中",
+  COMPLETED: "完了",
+  FAILED: "エラー",
+};
+
+/**
+ * バッチ処理を開始する関数 (フォルダ選択サイドバーから実行)
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @returns {object} - 処理結果 (成功/失敗、ジョブの状態)
+ */
+function startMergeJob(folderIds) {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const currentJob = loadMergeJob();
+    if (currentJob && currentJob.status === MERGE_JOB_STATUS.RUNNING) {
+      const response = ui.alert(
+        "バッチ処理",
+        "実行中のバッチ処理があります。中止して新しく開始しますか？",
+        ui.ButtonSet.YES_NO
+      );
+      if (response != ui.Button.YES) return { success: false };
+      cancelMergeJob(currentJob);
+    } else if (currentJob && currentJob.status === MERGE_JOB_STATUS.FAILED) {
+      // 新しいジョブで記録が上書きされると見つけられなくなるため、残っている一時ファイルを削除する
+      trashMergeJobStateFile(currentJob);
+    }
+
+    if (!folderIds || folderIds.length === 0)
+      throw new Error("フォルダが選択されませんでした");
+    useProjectSettings(folderIds);
+
+    const lock = LockService.getUserLock();
+    lock.waitLock(30 * 1000);
+    try {
+      runMergeJob(createMergeJob(folderIds));
+    } finally {
+      lock.releaseLock();
+    }
+
+    const job = loadMergeJob();
+    ui.alert("バッチ処理", formatMergeJobStatus(job), ui.ButtonSet.OK);
+    return { success: job.status !== MERGE_JOB_STATUS.FAILED, job };
+  } catch (e) {
+    console.error(`エラーが発生しました: ${e.toString()}`);
+    return { success: false, error: e.toString() };
+  }
+}
+
+/**
+ * バッチ処理の続きを実行する関数 (時間主導トリガーから実行)
+ */
+function continueMergeJob() {
+  deleteMergeJobTriggers();
+
+  const lock = LockService.getUserLock();
+  if (!lock.tryLock(30 * 1000)) {
+    scheduleMergeJobContinuation(); // 他の実行が終わってから再試行
+    return;
+  }
+  try {
+    const job = loadMergeJob();
+    if (!job || job.status !== MERGE_JOB_STATUS.RUNNING) return;
+    runMergeJob(job);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * バッチ処理の状況を表示する関数 (メニューから実行)
+ */
+function showMergeJobStatus() {
+  const ui = SpreadsheetApp.getUi();
+  const job = loadMergeJob();
+  ui.alert(
+    "バッチ処理の状況",
+    job ? formatMergeJobStatus(job) : "バッチ処理の履歴はありません。",
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * 対象ファイルを探索し、新しいジョブを作成する関数
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @returns {object} - ジョブの状態
+ */
+function createMergeJob(folderIds) {
+  const { targetFolders } = discoverMergeTargets(folderIds);
+  const state = {
+    targetFolderPaths: targetFolders.map((targetFolder) => targetFolder.path),
+    files: [],
+  };
+  targetFolders.forEach((targetFolder, targetFolderIndex) => {
+    targetFolder.files.forEach(({ file, folderPath }) => {
+      state.files.push({
+        fileId: file.getId(),
+        fileName: file.getName(),
+        folderPath,
+        targetFolderIndex,
+        excelResult: null,
+      });
+    });
+  });
+
+  const jobId = getCurrentDateTime();
+  const stateFile = DriveApp.createFile(
+    `部品リスト結合_${jobId}.json`,
+    JSON.stringify(state),
+    MimeType.PLAIN_TEXT
+  );
+
+  const job = {
+    jobId,
+    folderIds,
+    status: MERGE_JOB_STATUS.RUNNING,
+    stateFileId: stateFile.getId(),
+    nextIndex: 0,
+    totalFiles: state.files.length,
+    startedAt: formatMergeJobTime(new Date()),
+    updatedAt: formatMergeJobTime(new Date()),
+    urls: [],
+    error: "",
+  };
+  saveMergeJob(job);
+  return job;
+}
+
+/**
+ * 時間の許す範囲でファイルを読み込み、終わっていなければ続きをトリガーに予約する関数
+ * すべて読み込み済みの場合は出力スプレッドシートを作成する
+ * @param {object} job - ジョブの状態
+ */
+function runMergeJob(job) {
+  const startTime = Date.now();
+  let mergeData = null;
+  try {
+    useProjectSettings(job.folderIds);
+    const state = readMergeJobState(job);
+
+    while (job.nextIndex < state.files.length) {
+      if (Date.now() - startTime > MERGE_JOB_TIME_BUDGET_MS) {
+        saveMergeJobProgress(job, state);
+        scheduleMergeJobContinuation();
+        return;
+      }
+      const entry = state.files[job.nextIndex];
+      entry.excelResult = readMergeJobFile(entry);
+      job.nextIndex++;
+      if (job.nextIndex % MERGE_JOB_SAVE_INTERVAL === 0) {
+        saveMergeJobProgress(job, state);
+      }
+    }
+    saveMergeJobProgress(job, state);
+
+    // 出力の作成に十分な時間が残っていない場合は次の実行に回す
+    if (Date.now() - startTime > MERGE_JOB_TIME_BUDGET_MS / 2) {
+      scheduleMergeJobContinuation();
+      return;
+    }
+    mergeData = buildMergeJobData(state);
+    finalizeMergeJob(job, mergeData);
+  } catch (e) {
+    console.error(`バッチ処理でエラーが発生しました: ${e.toString()}`);
+    trashMergeJobStateFile(job); // 失敗したジョブは再開しないため、読み込み結果の一時ファイルは残さない
+    job.status = MERGE_JOB_STATUS.FAILED;
+    job.error = e.toString();
+    job.updatedAt = formatMergeJobTime(new Date());
+    saveMergeJob(job);
+    appendRunLog(
+      RUN_LOG_ACTIONS.BATCH,
+      job.folderIds,
+      mergeData,
+      [],
+      e.toString()
+    );
+    notifyRunResult(
+      RUN_LOG_ACTIONS.BATCH,
+      job.folderIds,
+      mergeData,
+      [],
+      e.toString()
+    );
+  }
+}
+
+/**
+ * ジョブの1ファイル分を読み込む関数
+ * @param {object} entry - ジョブのファイル情報
+ * @returns {object|null} - processExcelFile の戻り値 (対象外の拡張子の場合は null)
+ */
+function readMergeJobFile(entry) {
+  const fileName = entry.fileName.toLowerCase();
+  if (!VALID_EXTENSIONS.some((ext) => fileName.endsWith(ext))) return null;
+  const file = DriveApp.getFileById(entry.fileId);
+  return processExcelFile(file, getSettings().TARGET_SHEET_NAME);
+}
+
+/**
+ * 保存済みの読み込み結果から結合データを作成する関数
+ * @param {object} state - ジョブの一時データ
+ * @returns {object} - mergeTargetFolders の戻り値
+ */
+function buildMergeJobData(state) {
+  const targetFolders = state.targetFolderPaths.map((path) => ({
+    path,
+    files: [],
+  }));
+  const discoveredFiles = [];
+  state.files.forEach((entry) => {
+    targetFolders[entry.targetFolderIndex].files.push({
+      file: DriveApp.getFileById(entry.fileId),
+      folderPath: entry.folderPath,
+      excelResult: entry.excelResult,
+    });
+    discoveredFiles.push({
+      folderPath: entry.folderPath,
+      fileName: entry.fileName,
+    });
+  });
+
+  return mergeTargetFolders(targetFolders, discoveredFiles);
+}
+
+/**
+ * 結合データから出力スプレッドシートを作成し、ジョブを完了する関数
+ * @param {object} job - ジョブの状態
+ * @param {object} mergeData - buildMergeJobData の戻り値
+ */
+function finalizeMergeJob(job, mergeData) {
+  if (mergeData.processedFiles === 0)
+    throw new Error("処理可能なファイルが見つかりませんでした");
+  if (mergeData.combinedDataRows.length === 0)
+    throw new Error("有効なデータが見つかりませんでした");
+
+  const outputs = splitMergeDataByJNumber(mergeData).map((outputData) =>
+    createOutputSpreadsheet(outputData)
+  );
+
+  job.status = MERGE_JOB_STATUS.COMPLETED;
+  // 手配先別のスプレッドシートも出力として記録する
+  job.urls = outputs
+    .map(({ spreadsheet }) => spreadsheet.getUrl())
+    .concat(...outputs.map((output) => output.supplierUrls));
+  job.updatedAt = formatMergeJobTime(new Date());
+  saveMergeJob(job);
+  trashMergeJobStateFile(job);
+  appendRunLog(RUN_LOG_ACTIONS.BATCH, job.folderIds, mergeData, job.urls, "");
+  notifyRunResult(
+    RUN_LOG_ACTIONS.BATCH,
+    job.folderIds,
+    mergeData,
+    job.urls,
+    ""
+  );
+}
+
+/**
+ * 実行中のジョブを中止する関数
+ * @param {object} job - ジョブの状態
+ */
+function cancelMergeJob(job) {
+  deleteMergeJobTriggers();
+  trashMergeJobStateFile(job);
+  job.status = MERGE_JOB_STATUS.FAILED;
+  job.error = "中止されました";
+  job.updatedAt = formatMergeJobTime(new Date());
+  saveMergeJob(job);
+}
+
+/**
+ * ジョブの状態をユーザープロパティから読み込む関数
+ * @returns {object|null} - ジョブの状態
+ */
+function loadMergeJob() {
+  const json = PropertiesService.getUserProperties().getProperty(
+    MERGE_JOB_PROPERTY_KEY
+  );
+  return json ? JSON.parse(json) : null;
+}
+
+/**
+ * ジョブの状態をユーザープロパティに保存する関数
+ * @param {object} job - ジョブの状態
+ */
+function saveMergeJob(job) {
+  PropertiesService.getUserProperties().setProperty(
+    MERGE_JOB_PROPERTY_KEY,
+    JSON.stringify(job)
+  );
+}
+
+/**
+ * ジョブの一時データ (ファイルごとの読み込み結果) を読み込む関数
+ * @param {object} job - ジョブの状態
+ * @returns {object} - { targetFolderPaths, files }
+ */
+function readMergeJobState(job) {
+  const json = DriveApp.getFileById(job.stateFileId)
+    .getBlob()
+    .getDataAsString("UTF-8");
+  // JSONに保存した日付を Date に戻す
+  return JSON.parse(json, (key, value) =>
+    typeof value === "string" &&
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/.test(value)
+      ? new Date(value)
+      : value
+  );
+}
+
+/**
+ * 一時データとジョブの進捗を保存する関数
+ * @param {object} job - ジョブの状態
+ * @param {object} state - ジョブの一時データ
+ */
+function saveMergeJobProgress(job, state) {
+  DriveApp.getFileById(job.stateFileId).setContent(JSON.stringify(state));
+  job.updatedAt = formatMergeJobTime(new Date());
+  saveMergeJob(job);
+}
+
+/**
+ * ジョブの一時データのファイルを削除する関数
+ * @param {object} job - ジョブの状態
+ */
+function trashMergeJobStateFile(job) {
+  try {
+    DriveApp.getFileById(job.stateFileId).setTrashed(true);
+  } catch (e) {
+    console.error(
+      `一時ファイルの削除に失敗: ${job.stateFileId}, error: ${e.toString()}`
+    );
+  }
+}
+
+/**
+ * 続きを実行する時間主導トリガーを作成する関数
+ */
+function scheduleMergeJobContinuation() {
+  deleteMergeJobTriggers();
+  ScriptApp.newTrigger(MERGE_JOB_HANDLER)
+    .timeBased()
+    .after(MERGE_JOB_CONTINUE_DELAY_MS)
+    .create();
+}
+
+/**
+ * バッチ処理用のトリガーをすべて削除する関数
+ */
+function deleteMergeJobTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter((trigger) => trigger.getHandlerFunction() === MERGE_JOB_HANDLER)
+    .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+}
+
+/**
+ * ジョブの状態を表示用の文字列にする関数
+ * @param {object} job - ジョブの状態
+ * @returns {string} - 表示用の文字列
+ */
+function formatMergeJobStatus(job) {
+  const lines = [
+    `状態: ${job.status}`,
+    `進捗: ${job.nextIndex} / ${job.totalFiles} ファイル`,
+    `開始: ${job.startedAt}`,
+    `更新: ${job.updatedAt}`,
+  ];
+  if (job.status === MERGE_JOB_STATUS.RUNNING) {
+    lines.push("残りのファイルは自動的に続きから処理されます。");
+  }
+  job.urls.forEach((url) => lines.push(`出力: ${url}`));
+  if (job.error) lines.push(`エラー: ${job.error}`);
+  return lines.join("\n");
+}
+
+/**
+ * ジョブの日時を表示用にフォーマットする関数
+ * @param {Date} date - 日時
+ * @returns {string} - yyyy/MM/dd HH:mm:ss 形式の文字列
+ */
+function formatMergeJobTime(date) {
+  return Utilities.formatDate(date, "JST", "yyyy/MM/dd HH:mm:ss");
+}
@@ -0,0 +1,168 @@
+/**
+ * フォルダ選択サイドバーのサーバー側処理
+ * 親フォルダ以下のフォルダ一覧と検索、最近使ったフォルダの管理、選択フォルダでの各処理の実行を行います。
+ * 親フォルダは設定 PARENT_FOLDER_ID で指定します。
+ */
+
+const RECENT_FOLDERS_PROPERTY_KEY = "RECENT_FOLDERS";
+const RECENT_FOLDERS_LIMIT = 10;
+const FOLDER_SEARCH_LIMIT = 50; // 検索結果に表示するフォルダの最大数
+
+/**
+ * フォルダ選択サイドバーを表示する関数 (メニューから実行)
+ */
+function showFolderBrowser() {
+  const html =
+    HtmlService.createHtmlOutputFromFile("フォルダ選択").setTitle(
+      "フォルダ選択"
+    );
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * サイドバーの初期表示に必要なデータを取得する関数
+ * @returns {object} - 親フォルダ、その直下のフォルダ、最近使ったフォルダ
+ */
+function getFolderBrowserData() {
+  const parentFolderId = getParentFolderId();
+  const parentFolder = DriveApp.getFolderById(parentFolderId);
+  return {
+    root: { id: parentFolderId, name: parentFolder.getName() },
+    folders: listSubFolders(parentFolderId),
+    recentFolders: loadRecentFolders(),
+  };
+}
+
+/**
+ * 案件フォルダをまとめた親フォルダのIDを取得する関数
+ * @returns {string} - 親フォルダのID (設定 PARENT_FOLDER_ID)
+ */
+function getParentFolderId() {
+  const parentFolderId = getSettings().PARENT_FOLDER_ID;
+  if (!parentFolderId)
+    throw new Error(
+      "設定シートに親フォルダのID (PARENT_FOLDER_ID) が指定されていません"
+    );
+  return parentFolderId;
+}
+
+/**
+ * 親フォルダ以下 (すべての階層) のフォルダを名前で検索する関数 (サイドバーから実行)
+ * @param {string} keyword - 検索語 (フォルダ名・Jナンバーの一部)
+ * @returns {Array<object>} - フォルダ情報の配列 ({ id, name, jNumber, updated })。最大 FOLDER_SEARCH_LIMIT 件
+ */
+function searchFolders(keyword) {
+  const text = String(keyword || "").trim();
+  if (!text) return [];
+
+  // Drive の検索クエリでは文字列をシングルクォートで囲むため、\ と ' をエスケープする
+  const escapedText = text.replace(/\\/g, "\\\\").replace(/'/g, "\\'");
+  const folders = DriveApp.searchFolders(
+    `title contains '${escapedText}' and trashed = false`
+  );
+  const results = [];
+  while (folders.hasNext() && results.length < FOLDER_SEARCH_LIMIT) {
+    const folder = folders.next();
+    if (folder.getName().startsWith("@")) continue;
+    if (!isUnderParentFolder(folder.getId())) continue;
+    results.push(buildFolderInfo(folder));
+  }
+
+  return results.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * フォルダ直下のサブフォルダ一覧を取得する関数 ("@" で始まるフォルダは除外)
+ * @param {string} folderId - フォルダのID
+ * @returns {Array<object>} - サブフォルダ情報の配列 ({ id, name, jNumber, updated })
+ */
+function listSubFolders(folderId) {
+  const folders = DriveApp.getFolderById(folderId).getFolders();
+  const subFolders = [];
+
+  while (folders.hasNext()) {
+    const folder = folders.next();
+    const folderName = folder.getName();
+    if (folderName.startsWith("@")) continue;
+    subFolders.push(buildFolderInfo(folder));
+  }
+
+  return subFolders.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * サイドバーに表示するフォルダ情報を作成する関数
+ * @param {Folder} folder - フォルダ
+ * @returns {object} - フォルダ情報 ({ id, name, jNumber, updated })
+ */
+function buildFolderInfo(folder) {
+  const folderName = folder.getName();
+  return {
+    id: folder.getId(),
+    name: folderName,
+    jNumber: extractJNumber(folderName),
+    updated: Utilities.formatDate(
+      folder.getLastUpdated(),
+      "JST",
+      "yyyy/MM/dd HH:mm"
+    ),
+  };
+}
+
+/**
+ * サイドバーで選択されたフォルダに対して処理を実行する関数
+ * @param {string} action - 処理の種類 (combine/preview/update/batch)
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @param {string} [spreadsheetId] - 更新するスプレッドシートのID (update の場合)
+ * @returns {object} - 各処理の結果
+ */
+function runFolderAction(action, folderIds, spreadsheetId) {
+  if (!folderIds || folderIds.length === 0) {
+    return { success: false, error: "フォルダが選択されていません" };
+  }
+  saveRecentFolders(folderIds);
+
+  switch (action) {
+    case "combine":
+      return combineExcelSheets(folderIds);
+    case "preview":
+      return previewCombineExcelSheets(folderIds);
+    case "update":
+      return updateExistingSpreadsheet(folderIds, spreadsheetId);
+    case "batch":
+      return startMergeJob(folderIds);
+    default:
+      return { success: false, error: `不明な処理です: ${action}` };
+  }
+}
+
+/**
+ * 最近使ったフォルダを読み込む関数
+ * @returns {Array<object>} - フォルダ情報の配列 ({ id, name, jNumber, updated })
+ */
+function loadRecentFolders() {
+  const json = PropertiesService.getUserProperties().getProperty(
+    RECENT_FOLDERS_PROPERTY_KEY
+  );
+  return json ? JSON.parse(json) : [];
+}
+
+/**
+ * 使用したフォルダを最近使ったフォルダの先頭に記録する関数
+ * @param {Array<string>} folderIds - 使用したフォルダのIDの配列
+ */
+function saveRecentFolders(folderIds) {
+  const usedFolders = folderIds.map((folderId) =>
+    buildFolderInfo(DriveApp.getFolderById(folderId))
+  );
+  const recentFolders = usedFolders
+    .concat(
+      loadRecentFolders().filter((recent) => !folderIds.includes(recent.id))
+    )
+    .slice(0, RECENT_FOLDERS_LIMIT);
+
+  PropertiesService.getUserProperties().setProperty(
+    RECENT_FOLDERS_PROPERTY_KEY,
+    JSON.stringify(recentFolders)
+  );
+}
@@ -0,0 +1,17 @@
+/**
+ * 複数の処理で共通して使うセルの値の変換関数
+ */
+
+/**
+ * 比較・集計用にセルの値を文字列にする関数
+ * 日付は yyyy/MM/dd、空のセルは空文字列にし、前後の空白を除く
+ * @param {*} value - セルの値
+ * @returns {string} - 文字列
+ */
+function formatCellText(value) {
+  if (value === undefined || value === null) return "";
+  if (value instanceof Date) {
+    return Utilities.formatDate(value, "JST", "yyyy/MM/dd");
+  }
+  return String(value).trim();
+}
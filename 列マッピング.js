@@ -0,0 +1,114 @@
+/**
+ * 元のExcelファイルの列をヘッダー名で探し、出力列に対応付ける処理
+ * 対応表は設定シートの SOURCE_HEADER_<出力列> (例: SOURCE_HEADER_K = 手配先) で指定します。
+ * 対応表がない場合は、従来どおり B列から順に E列以降へ対応付けます。
+ */
+
+// 出力シートの列番号 (A列 = 1)
+const OUTPUT_COLUMNS = {
+  CATEGORY: 4, // D列 カテゴリ
+  UNIT: 5, // E列 Unit番号
+  PART_NUMBER: 6, // F列 部品番号
+  STOCK_STATUS: 7, // G列 在庫状況
+  PROCESSING: 10, // J列 表面処理
+  SUPPLIER: 11, // K列 手配先
+  DATE_L: 12, // L列 日付 (カテゴリによっては空欄)
+  DATE_M: 13, // M列 日付
+  JNUMBER: 14, // N列 Jナンバー
+};
+
+// 元ファイルから読み込む出力列 (E列〜M列)
+const SOURCE_OUTPUT_COLUMN_LETTERS = [
+  "E",
+  "F",
+  "G",
+  "H",
+  "I",
+  "J",
+  "K",
+  "L",
+  "M",
+];
+
+/**
+ * 出力列番号を結合データ (カテゴリ列始まり) の列インデックスに変換する関数
+ * @param {number} outputColumn - 出力シートの列番号
+ * @returns {number} - 結合データの列インデックス
+ */
+function toCombinedIndex(outputColumn) {
+  return outputColumn - OUTPUT_COLUMNS.CATEGORY;
+}
+
+/**
+ * 型式・数量など位置の決まっていない列の結合データ上のインデックスを求める関数
+ * 設定で出力列 (例: "H") が指定されていればそれを使い、なければ出力列名から探す
+ * @param {string} columnLetter - 設定された出力列 (未設定の場合は undefined)
+ * @param {RegExp} columnNamePattern - 出力列名のパターン
+ * @returns {number} - 結合データの列インデックス (見つからない場合は -1)
+ */
+function findCombinedIndexByColumnName(columnLetter, columnNamePattern) {
+  const letter =
+    columnLetter ||
+    SOURCE_OUTPUT_COLUMN_LETTERS.find((letter) =>
+      columnNamePattern.test(getSettings().COLUMN_NAMES[letter] || "")
+    );
+  return letter ? toCombinedIndex(convertColumnLettersToIndex(letter) + 1) : -1;
+}
+
+/**
+ * 元ファイルのヘッダー行から、出力列ごとの元の列インデックスを求める関数
+ * @param {Array<*>} headerRow - 元ファイルのヘッダー行
+ * @returns {object} - 出力列 (E〜M) ごとの元の列インデックス (対応なしは -1) と、見つからなかったヘッダー名
+ */
+function resolveSourceColumns(headerRow) {
+  const sourceHeaders = getSettings().SOURCE_HEADERS;
+  const LEGACY_FIRST_COLUMN_INDEX = 1; // 対応表がない場合は B列から
+
+  if (Object.keys(sourceHeaders).length === 0) {
+    return {
+      columnIndexes: SOURCE_OUTPUT_COLUMN_LETTERS.map(
+        (letter, i) => LEGACY_FIRST_COLUMN_INDEX + i
+      ),
+      missingHeaders: [],
+    };
+  }
+
+  if (!sourceHeaders.E) {
+    throw new Error("設定 SOURCE_HEADER_E (Unit番号の列) が指定されていません");
+  }
+
+  const normalizedHeaderRow = headerRow.map(normalizeHeaderName);
+  const missingHeaders = [];
+  const columnIndexes = SOURCE_OUTPUT_COLUMN_LETTERS.map((letter) => {
+    const headerName = sourceHeaders[letter];
+    if (!headerName) return -1; // 対応付けのない列は空欄にする
+    const index = normalizedHeaderRow.indexOf(normalizeHeaderName(headerName));
+    if (index === -1) missingHeaders.push(headerName);
+    return index;
+  });
+
+  return { columnIndexes, missingHeaders };
+}
+
+/**
+ * 元ファイルの行を出力列 (E〜M) の並びに組み替える関数
+ * @param {Array<*>} row - 元ファイルの行
+ * @param {Array<number>} columnIndexes - resolveSourceColumns で求めた列インデックス
+ * @returns {Array<*>} - 出力列の並びの行
+ */
+function mapSourceRow(row, columnIndexes) {
+  return columnIndexes.map((index) => {
+    if (index === -1 || row[index] === undefined || row[index] === null)
+      return "";
+    return row[index];
+  });
+}
+
+/**
+ * ヘッダー名を比較用に正規化する関数 (空白・改行を除く)
+ * @param {*} headerName - ヘッダー名
+ * @returns {string} - 正規化されたヘッダー名
+ */
+function normalizeHeaderName(headerName) {
+  return String(headerName).replace(/\s+/g, "");
+}
@@ -0,0 +1,234 @@
+/**
+ * 日付付きの部品リストが新しい版に置き換えられたときの変更点と、版の競合を記録する関数群
+ */
+
+const REVISION_HISTORY_SHEET_NAME = "変更履歴";
+const REVISION_CONFLICT_SHEET_NAME = "版の競合";
+const REVISION_CHANGE_TYPES = {
+  ADDED: "追加",
+  REMOVED: "削除",
+  MODIFIED: "変更",
+  UNCHANGED: "変更なし",
+};
+
+/**
+ * 置き換えられた旧版と新版の組を作成する関数
+ * @param {object} olderFileInfo - 旧版のファイル情報 ({ file, date, rows })。date はファイル名の日付 (ない場合は null)
+ * @param {object} newerFileInfo - 新版のファイル情報 ({ file, date, rows })
+ * @returns {object} - 両ファイルの名前と日付、行ごとの変更点
+ */
+function buildRevisionPair(olderFileInfo, newerFileInfo) {
+  return {
+    olderFileName: olderFileInfo.file.getName(),
+    olderDate: olderFileInfo.date === null ? "" : olderFileInfo.date,
+    newerFileName: newerFileInfo.file.getName(),
+    newerDate: newerFileInfo.date === null ? "" : newerFileInfo.date,
+    changes: diffRevisionRows(olderFileInfo.rows, newerFileInfo.rows),
+  };
+}
+
+/**
+ * 旧版と新版のデータ行を比較する関数
+ * Unit番号 + 部品番号 で行を対応付ける
+ * @param {Array<Array<*>>} olderRows - 旧版のデータ行 (ヘッダー行を除く)
+ * @param {Array<Array<*>>} newerRows - 新版のデータ行 (ヘッダー行を除く)
+ * @returns {Array<object>} - 変更点の配列 ({ type, row, details })
+ */
+function diffRevisionRows(olderRows, newerRows) {
+  const UNIT_INDEX = toCombinedIndex(OUTPUT_COLUMNS.UNIT);
+  const PART_NUMBER_INDEX = toCombinedIndex(OUTPUT_COLUMNS.PART_NUMBER);
+  const buildKey = (row) =>
+    [row[UNIT_INDEX], row[PART_NUMBER_INDEX]]
+      .map(normalizeMatchValue)
+      .join("_");
+
+  const olderRowsByKey = new Map();
+  olderRows.forEach((row) => {
+    const key = buildKey(row);
+    if (!olderRowsByKey.has(key)) olderRowsByKey.set(key, []);
+    olderRowsByKey.get(key).push(row);
+  });
+
+  const changes = [];
+  newerRows.forEach((row) => {
+    const matchedRows = olderRowsByKey.get(buildKey(row));
+    const olderRow = matchedRows && matchedRows.shift();
+    if (!olderRow) {
+      changes.push({
+        type: REVISION_CHANGE_TYPES.ADDED,
+        row,
+        details: describeRevisionRow(row),
+      });
+      return;
+    }
+
+    const details = [];
+    const columnCount = Math.max(row.length, olderRow.length);
+    for (let i = 0; i < columnCount; i++) {
+      const before = formatCellText(olderRow[i]);
+      const after = formatCellText(row[i]);
+      if (before !== after) {
+        details.push(`${getRevisionColumnName(i)}: ${before} → ${after}`);
+      }
+    }
+    if (details.length > 0) {
+      changes.push({
+        type: REVISION_CHANGE_TYPES.MODIFIED,
+        row,
+        details: details.join(" / "),
+      });
+    }
+  });
+
+  olderRowsByKey.forEach((rows) => {
+    rows.forEach((row) => {
+      changes.push({
+        type: REVISION_CHANGE_TYPES.REMOVED,
+        row,
+        details: describeRevisionRow(row),
+      });
+    });
+  });
+  return changes;
+}
+
+/**
+ * 追加・削除された行の内容を1つの文字列にまとめる関数
+ * @param {Array<*>} row - データ行
+ * @returns {string} - 「列名: 値」を区切った文字列
+ */
+function describeRevisionRow(row) {
+  // 行の対応付けに使うカテゴリ・Unit番号・部品番号以外の列
+  const keyIndexes = [
+    OUTPUT_COLUMNS.CATEGORY,
+    OUTPUT_COLUMNS.UNIT,
+    OUTPUT_COLUMNS.PART_NUMBER,
+  ].map(toCombinedIndex);
+  const details = [];
+  for (let i = 0; i < row.length; i++) {
+    if (keyIndexes.includes(i)) continue;
+    const value = formatCellText(row[i]);
+    if (value !== "") details.push(`${getRevisionColumnName(i)}: ${value}`);
+  }
+  return details.join(" / ");
+}
+
+/**
+ * 結合データの列インデックスから出力シートの列名を取得する関数
+ * @param {number} index - 結合データの列インデックス (0 = D列)
+ * @returns {string} - 列名
+ */
+function getRevisionColumnName(index) {
+  if (index === toCombinedIndex(OUTPUT_COLUMNS.JNUMBER))
+    return getJNumberHeader();
+  const columnLetter = String.fromCharCode(
+    "A".charCodeAt(0) + OUTPUT_COLUMNS.CATEGORY - 1 + index
+  );
+  return getSettings().COLUMN_NAMES[columnLetter] || `${columnLetter}列`;
+}
+
+/**
+ * 変更履歴シートを作成 (既存の場合は書き換え) する関数
+ * @param {Spreadsheet} spreadsheet - 出力先のスプレッドシート
+ * @param {Array<object>} revisionPairs - 置き換えられた版の組
+ */
+function writeRevisionHistorySheet(spreadsheet, revisionPairs) {
+  let sheet = spreadsheet.getSheetByName(REVISION_HISTORY_SHEET_NAME);
+  if (revisionPairs.length === 0 && !sheet) return;
+  if (!sheet) sheet = spreadsheet.insertSheet(REVISION_HISTORY_SHEET_NAME);
+  sheet.clear();
+  const columnNames = getSettings().COLUMN_NAMES;
+
+  const headerRow = [
+    "旧ファイル",
+    "旧日付",
+    "新ファイル",
+    "新日付",
+    "変更種別",
+    columnNames.D,
+    columnNames.E,
+    columnNames.F,
+    "変更内容",
+  ];
+  const rows = [];
+  revisionPairs.forEach((pair) => {
+    const pairColumns = [
+      pair.olderFileName,
+      pair.olderDate,
+      pair.newerFileName,
+      pair.newerDate,
+    ];
+    if (pair.changes.length === 0) {
+      rows.push(
+        pairColumns.concat([REVISION_CHANGE_TYPES.UNCHANGED, "", "", "", ""])
+      );
+      return;
+    }
+    pair.changes.forEach((change) => {
+      rows.push(
+        pairColumns.concat([
+          change.type,
+          change.row[toCombinedIndex(OUTPUT_COLUMNS.CATEGORY)],
+          change.row[toCombinedIndex(OUTPUT_COLUMNS.UNIT)],
+          change.row[toCombinedIndex(OUTPUT_COLUMNS.PART_NUMBER)],
+          change.details,
+        ])
+      );
+    });
+  });
+
+  if (rows.length === 0) rows.push(["置き換えられたファイルはありません"]);
+  const values = [headerRow].concat(
+    rows.map((row) => row.concat(Array(headerRow.length - row.length).fill("")))
+  );
+  sheet.getRange(1, 1, values.length, headerRow.length).setValues(values);
+  sheet
+    .getRange(1, 1, 1, headerRow.length)
+    .setBackground("#f3f3f3")
+    .setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, headerRow.length);
+}
+
+/**
+ * 版の競合シートを作成 (既存の場合は書き換え) する関数
+ * 同じJナンバー・カテゴリ・ユニットで版に差がつかなかったファイルを一覧にする
+ * @param {Spreadsheet} spreadsheet - 出力先のスプレッドシート
+ * @param {Array<object>} revisionConflicts - 版の競合 (processFiles の戻り値の revisionConflicts)
+ */
+function writeRevisionConflictSheet(spreadsheet, revisionConflicts) {
+  let sheet = spreadsheet.getSheetByName(REVISION_CONFLICT_SHEET_NAME);
+  if (revisionConflicts.length === 0 && !sheet) return;
+  if (!sheet) sheet = spreadsheet.insertSheet(REVISION_CONFLICT_SHEET_NAME);
+  sheet.clear();
+  const columnNames = getSettings().COLUMN_NAMES;
+
+  const headerRow = [
+    getJNumberHeader(),
+    columnNames.D,
+    columnNames.E,
+    "版",
+    "使用したファイル",
+    "使用しなかったファイル",
+  ];
+  const rows = revisionConflicts.map((conflict) => [
+    conflict.jNumber,
+    conflict.category,
+    conflict.unitNumber,
+    conflict.revision,
+    `${conflict.usedReport.folderPath}/${conflict.usedReport.fileName}`,
+    `${conflict.skippedReport.folderPath}/${conflict.skippedReport.fileName}`,
+  ]);
+
+  if (rows.length === 0) rows.push(["版の競合はありません"]);
+  const values = [headerRow].concat(
+    rows.map((row) => row.concat(Array(headerRow.length - row.length).fill("")))
+  );
+  sheet.getRange(1, 1, values.length, headerRow.length).setValues(values);
+  sheet
+    .getRange(1, 1, 1, headerRow.length)
+    .setBackground("#f3f3f3")
+    .setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, headerRow.length);
+}
@@ -0,0 +1,115 @@
+/**
+ * 実行ログ
+ * 結合・更新・バッチ処理の実行ごとに、設定スプレッドシートの「実行ログ」シートへ
+ * 実行者・対象フォルダ・出力URLと、ファイルごとの結果 (使用/スキップ理由) を追記します。
+ */
+
+const RUN_LOG_SHEET_NAME = "実行ログ";
+const RUN_LOG_HEADER = [
+  "実行日時",
+  "実行者",
+  "処理",
+  "対象フォルダ",
+  "出力URL",
+  "エラー",
+  "フォルダ",
+  "ファイル名",
+  "結果",
+  "行数",
+];
+const RUN_LOG_ACTIONS = {
+  COMBINE: "結合",
+  UPDATE: "更新",
+  BATCH: "バッチ処理",
+};
+
+/**
+ * 実行結果を実行ログシートに追記する関数
+ * ログの書き込みに失敗しても処理自体は失敗させない
+ * @param {string} action - 処理の種類 (RUN_LOG_ACTIONS)
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @param {object|null} mergeData - collectMergeData の戻り値 (読み込み前に失敗した場合は null)
+ * @param {Array<string>} urls - 出力スプレッドシートのURLの配列
+ * @param {string} error - エラーメッセージ (成功時は空文字列)
+ */
+function appendRunLog(action, folderIds, mergeData, urls, error) {
+  try {
+    const sheet = getRunLogSheet();
+    const runValues = [
+      Utilities.formatDate(new Date(), "JST", "yyyy/MM/dd HH:mm:ss"),
+      Session.getActiveUser().getEmail(),
+      action,
+      getRunLogFolderNames(folderIds).join("\n"),
+      urls.join("\n"),
+      error,
+    ];
+
+    const fileReports = mergeData ? mergeData.fileReports : [];
+    const logRows =
+      fileReports.length === 0
+        ? [runValues.concat(["", "", "", ""])]
+        : fileReports.map((report) =>
+            runValues.concat([
+              report.folderPath,
+              report.fileName,
+              describeFileOutcome(report),
+              report.rowCount,
+            ])
+          );
+
+    sheet
+      .getRange(
+        sheet.getLastRow() + 1,
+        1,
+        logRows.length,
+        RUN_LOG_HEADER.length
+      )
+      .setValues(logRows);
+  } catch (e) {
+    console.error(`実行ログの書き込みに失敗: ${e.toString()}`);
+  }
+}
+
+/**
+ * 実行ログシートを取得する関数 (ない場合はヘッダー付きで作成)
+ * @returns {Sheet} - 実行ログシート
+ */
+function getRunLogSheet() {
+  const spreadsheet = SpreadsheetApp.openById(SETTINGS_SPREADSHEET_ID);
+  let sheet = spreadsheet.getSheetByName(RUN_LOG_SHEET_NAME);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(RUN_LOG_SHEET_NAME);
+    sheet.getRange(1, 1, 1, RUN_LOG_HEADER.length).setValues([RUN_LOG_HEADER]);
+    sheet
+      .getRange(1, 1, 1, RUN_LOG_HEADER.length)
+      .setBackground("#f3f3f3")
+      .setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * ログ用に選択フォルダの名前を取得する関数
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @returns {Array<string>} - フォルダ名の配列 (取得できない場合はID)
+ */
+function getRunLogFolderNames(folderIds) {
+  return (folderIds || []).map((folderId) => {
+    try {
+      return DriveApp.getFolderById(folderId).getName();
+    } catch (e) {
+      return folderId;
+    }
+  });
+}
+
+/**
+ * ファイルごとの処理結果をログ用の文字列にする関数
+ * @param {object} report - ファイルごとの処理結果
+ * @returns {string} - 使用、またはスキップの理由
+ */
+function describeFileOutcome(report) {
+  if (report.used) return report.reason || "使用";
+  return report.reason;
+}
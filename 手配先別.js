@@ -0,0 +1,155 @@
+/**
+ * 手配先別の出力
+ * 設定 SUPPLIER_SPLIT_MODE に応じて、手配先ごとのシート (tabs)、手配先ごとのスプレッドシート (files)、
+ * またはその両方 (both) を作成します。列・並び順・書式は結合シートと同じです。
+ * スプレッドシートのファイル名は設定 SUPPLIER_FILE_NAME_FORMAT で指定します
+ * ({baseName}: 結合スプレッドシート名, {supplier}: 手配先, {jNumber}: Jナンバー, {dateTime}: 作成日時)。
+ */
+
+const SUPPLIER_SHEET_PREFIX = "手配先_";
+const SUPPLIER_SPLIT_MODES = {
+  TABS: "tabs",
+  FILES: "files",
+  BOTH: "both",
+};
+const DEFAULT_SUPPLIER_FILE_NAME_FORMAT = "{baseName}_{supplier}";
+const NO_SUPPLIER_NAME = "手配先なし";
+
+/**
+ * 手配先別のシート・スプレッドシートを作成する関数
+ * @param {Spreadsheet} spreadsheet - 結合スプレッドシート
+ * @param {Array<Array<*>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
+ * @param {Set<string>} jNumberSet - Jナンバーのセット
+ * @returns {Array<Spreadsheet>} - 作成した手配先別のスプレッドシート
+ */
+function writeSupplierOutputs(spreadsheet, combinedDataRows, jNumberSet) {
+  const mode = getSettings().SUPPLIER_SPLIT_MODE;
+  refreshSupplierSheets(spreadsheet, combinedDataRows);
+  if (
+    mode !== SUPPLIER_SPLIT_MODES.FILES &&
+    mode !== SUPPLIER_SPLIT_MODES.BOTH
+  ) {
+    return [];
+  }
+
+  const supplierSpreadsheets = [];
+  groupRowsBySupplier(combinedDataRows).forEach((supplierRows, supplier) => {
+    const supplierSpreadsheet = copySpreadsheet(
+      getSettings().TEMPLATE_SPREADSHEET_ID,
+      buildSupplierFileName(spreadsheet.getName(), supplier, jNumberSet),
+      getSettings().OUTPUT_FOLDER_ID
+    );
+    writeSupplierSheet(supplierSpreadsheet.getActiveSheet(), supplierRows);
+    supplierSpreadsheets.push(supplierSpreadsheet);
+  });
+  return supplierSpreadsheets;
+}
+
+/**
+ * 結合スプレッドシート内の手配先別シートを作り直す関数 (設定が tabs または both の場合)
+ * @param {Spreadsheet} spreadsheet - 結合スプレッドシート
+ * @param {Array<Array<*>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
+ */
+function refreshSupplierSheets(spreadsheet, combinedDataRows) {
+  const mode = getSettings().SUPPLIER_SPLIT_MODE;
+  if (mode !== SUPPLIER_SPLIT_MODES.TABS && mode !== SUPPLIER_SPLIT_MODES.BOTH)
+    return;
+
+  deleteSupplierSheets(spreadsheet);
+  const templateSheet = SpreadsheetApp.openById(
+    getSettings().TEMPLATE_SPREADSHEET_ID
+  ).getSheets()[0];
+  const sheetNames = new Set();
+  groupRowsBySupplier(combinedDataRows).forEach((supplierRows, supplier) => {
+    const sheetName = buildSupplierSheetName(supplier, sheetNames);
+    sheetNames.add(sheetName);
+    const sheet = templateSheet.copyTo(spreadsheet).setName(sheetName);
+    writeSupplierSheet(sheet, supplierRows);
+  });
+}
+
+/**
+ * 結合データを手配先ごとに分ける関数
+ * @param {Array<Array<*>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
+ * @returns {Map<string, Array<Array<*>>>} - 手配先ごとの結合データ (ヘッダー行付き、手配先名順)
+ */
+function groupRowsBySupplier(combinedDataRows) {
+  const SUPPLIER_INDEX = toCombinedIndex(OUTPUT_COLUMNS.SUPPLIER);
+  const [headerRow, ...dataRows] = combinedDataRows;
+  const rowsBySupplier = new Map();
+  dataRows.forEach((row) => {
+    const supplier = String(row[SUPPLIER_INDEX]).trim() || NO_SUPPLIER_NAME;
+    if (!rowsBySupplier.has(supplier))
+      rowsBySupplier.set(supplier, [headerRow]);
+    rowsBySupplier.get(supplier).push(row);
+  });
+  return new Map(
+    Array.from(rowsBySupplier.entries()).sort(([a], [b]) => a.localeCompare(b))
+  );
+}
+
+/**
+ * 手配先1件分のデータを結合シートと同じ形式で書き込む関数
+ * @param {Sheet} sheet - 書き込み先のシート
+ * @param {Array<Array<*>>} supplierRows - 手配先1件分の結合データ（ヘッダー行を含む）
+ */
+function writeSupplierSheet(sheet, supplierRows) {
+  writeOutputSheet(sheet, buildFinalData(supplierRows));
+  applyRowHeights(sheet, supplierRows.length, getSettings().ROW_HEIGHT);
+  applyConditionalFormatting(sheet, supplierRows);
+}
+
+/**
+ * 以前に作成した手配先別のシートを削除する関数
+ * @param {Spreadsheet} spreadsheet - 結合スプレッドシート
+ */
+function deleteSupplierSheets(spreadsheet) {
+  spreadsheet
+    .getSheets()
+    .filter((sheet) => sheet.getName().startsWith(SUPPLIER_SHEET_PREFIX))
+    .forEach((sheet) => spreadsheet.deleteSheet(sheet));
+}
+
+/**
+ * 手配先別のシート名を作成する関数
+ * 使えない文字の置換や文字数の切り詰めで名前が重なる場合は、末尾に連番 (_2, _3, ...) を付ける
+ * @param {string} supplier - 手配先
+ * @param {Set<string>} usedSheetNames - 作成済みのシート名
+ * @returns {string} - シート名
+ */
+function buildSupplierSheetName(supplier, usedSheetNames) {
+  const MAX_SHEET_NAME_LENGTH = 100;
+  const baseName = `${SUPPLIER_SHEET_PREFIX}${supplier}`.replace(
+    /[\[\]*?\/\\:]/g,
+    "_"
+  );
+  let sheetName = baseName.slice(0, MAX_SHEET_NAME_LENGTH);
+  for (let count = 2; usedSheetNames.has(sheetName); count++) {
+    const suffix = `_${count}`;
+    sheetName =
+      baseName.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+  }
+  return sheetName;
+}
+
+/**
+ * 手配先別のスプレッドシートのファイル名を作成する関数
+ * @param {string} baseName - 結合スプレッドシートのファイル名
+ * @param {string} supplier - 手配先
+ * @param {Set<string>} jNumberSet - Jナンバーのセット
+ * @returns {string} - ファイル名
+ */
+function buildSupplierFileName(baseName, supplier, jNumberSet) {
+  const format =
+    getSettings().SUPPLIER_FILE_NAME_FORMAT ||
+    DEFAULT_SUPPLIER_FILE_NAME_FORMAT;
+  const values = {
+    baseName,
+    supplier: supplier.replace(/[\/\\]/g, "_"),
+    jNumber: Array.from(jNumberSet).sort().join("-"),
+    dateTime: getCurrentDateTime(),
+  };
+  return format.replace(/\{(\w+)\}/g, (match, key) =>
+    key in values ? values[key] : match
+  );
+}
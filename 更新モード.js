@@ -0,0 +1,327 @@
+/**
+ * 既存の出力スプレッドシートを更新するモード
+ * チェックボックス (A/B列) と手入力のメモ列を引き継ぎ、追加・削除された行に印を付けます。
+ * 更新するスプレッドシートはフォルダ選択サイドバーで OUTPUT_FOLDER_ID 内の一覧から選びます。
+ * 更新後は設定 EXPORT_FORMATS の形式でエクスポートし直します (以前のエクスポートファイルは置き換え)。
+ */
+
+const UPDATE_STATUS_HEADER = "更新状態";
+const UPDATE_STATUS = {
+  ADDED: "新規",
+  REMOVED: "削除",
+};
+
+/**
+ * 更新処理: フォルダ内のExcelファイルを再結合し、既存のスプレッドシートを更新します。
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @param {string} outputSpreadsheetId - 更新するスプレッドシートのID
+ * @param {object} [collectedMergeData] - 収集済みの結合データ (collectMergeData の戻り値。省略した場合は収集する)
+ * @returns {object} - 処理結果 (成功/失敗、URL、処理ファイル数、合計行数、追加行数、削除行数、ファイルごとの処理結果)
+ */
+function updateExistingSpreadsheet(
+  folderIds,
+  outputSpreadsheetId,
+  collectedMergeData
+) {
+  let mergeData = null;
+  try {
+    if (!folderIds || folderIds.length === 0)
+      throw new Error("フォルダが選択されませんでした");
+    useProjectSettings(folderIds);
+
+    if (!outputSpreadsheetId)
+      throw new Error("更新するスプレッドシートが選択されませんでした");
+
+    mergeData = collectedMergeData || collectMergeData(folderIds);
+    const { combinedDataRows, processedFiles } = mergeData;
+
+    if (processedFiles === 0)
+      throw new Error("処理可能なファイルが見つかりませんでした");
+    if (combinedDataRows.length === 0)
+      throw new Error("有効なデータが見つかりませんでした");
+
+    const spreadsheet = SpreadsheetApp.openById(outputSpreadsheetId);
+    const outputData = selectOutputDataForSpreadsheet(spreadsheet, mergeData);
+    const result = updateOutputSpreadsheet(
+      spreadsheet,
+      outputData.combinedDataRows
+    );
+    writeRevisionHistorySheet(spreadsheet, outputData.revisionPairs);
+    writeRevisionConflictSheet(spreadsheet, outputData.revisionConflicts);
+    writeValidationSheet(
+      spreadsheet,
+      outputData.combinedDataRows,
+      outputData.rowSources
+    );
+    writeSummarySheet(spreadsheet, outputData.combinedDataRows);
+    writeConsolidatedBomSheet(spreadsheet, outputData.combinedDataRows);
+    refreshSupplierSheets(spreadsheet, outputData.combinedDataRows);
+    exportOutputFiles(spreadsheet);
+    appendRunLog(
+      RUN_LOG_ACTIONS.UPDATE,
+      folderIds,
+      mergeData,
+      [spreadsheet.getUrl()],
+      ""
+    );
+    notifyRunResult(
+      RUN_LOG_ACTIONS.UPDATE,
+      folderIds,
+      mergeData,
+      [spreadsheet.getUrl()],
+      ""
+    );
+
+    return {
+      success: true,
+      url: spreadsheet.getUrl(),
+      processedFiles: processedFiles,
+      totalRows: result.totalRows,
+      addedRows: result.addedRows,
+      removedRows: result.removedRows,
+      discoveredFiles: mergeData.discoveredFiles,
+      fileReports: mergeData.fileReports,
+    };
+  } catch (e) {
+    console.error(`エラーが発生しました: ${e.toString()}`);
+    appendRunLog(
+      RUN_LOG_ACTIONS.UPDATE,
+      folderIds,
+      mergeData,
+      [],
+      e.toString()
+    );
+    notifyRunResult(
+      RUN_LOG_ACTIONS.UPDATE,
+      folderIds,
+      mergeData,
+      [],
+      e.toString()
+    );
+    return { success: false, error: e.toString() };
+  }
+}
+
+/**
+ * 更新対象に選べる出力スプレッドシートの一覧を取得する関数 (サイドバーから実行)
+ * @returns {Array<object>} - OUTPUT_FOLDER_ID 内のスプレッドシート情報の配列 ({ id, name, updated })。更新日時の新しい順
+ */
+function listOutputSpreadsheets() {
+  const files = DriveApp.getFolderById(
+    getSettings().OUTPUT_FOLDER_ID
+  ).getFilesByType(MimeType.GOOGLE_SHEETS);
+  const spreadsheets = [];
+  while (files.hasNext()) {
+    const file = files.next();
+    spreadsheets.push({
+      id: file.getId(),
+      name: file.getName(),
+      lastUpdated: file.getLastUpdated().getTime(),
+    });
+  }
+  return spreadsheets
+    .sort((a, b) => b.lastUpdated - a.lastUpdated)
+    .map(({ id, name, lastUpdated }) => ({
+      id,
+      name,
+      updated: Utilities.formatDate(
+        new Date(lastUpdated),
+        "JST",
+        "yyyy/MM/dd HH:mm"
+      ),
+    }));
+}
+
+/**
+ * スプレッドシートのURLまたはIDからIDを取り出す関数
+ * @param {string} text - スプレッドシートのURLまたはID
+ * @returns {string|null} - スプレッドシートのID
+ */
+function extractSpreadsheetId(text) {
+  const trimmedText = text.trim();
+  const urlMatch = trimmedText.match(/\/d\/([\w-]+)/);
+  return urlMatch ? urlMatch[1] : trimmedText || null;
+}
+
+/**
+ * 更新対象のスプレッドシートに対応する結合データを選ぶ関数
+ * Jナンバーごとに出力を分ける設定の場合は、スプレッドシート名のJナンバーのデータだけを使う
+ * @param {Spreadsheet} spreadsheet - 更新するスプレッドシート
+ * @param {object} mergeData - collectMergeData の戻り値
+ * @returns {object} - 更新に使う結合データ
+ */
+function selectOutputDataForSpreadsheet(spreadsheet, mergeData) {
+  const outputs = splitMergeDataByJNumber(mergeData);
+  if (outputs.length === 1) return outputs[0];
+
+  const jNumber = extractJNumber(spreadsheet.getName());
+  const outputData = outputs.find((output) => output.jNumberSet.has(jNumber));
+  if (!outputData) {
+    throw new Error(
+      `スプレッドシート名のJナンバー (${
+        jNumber || "なし"
+      }) に該当するデータがありません`
+    );
+  }
+  return outputData;
+}
+
+/**
+ * 既存の出力シートを結合データで更新する関数
+ * Jナンバー + カテゴリ + Unit番号 + 部品番号 で行を対応付ける
+ * (Jナンバー列がない以前の出力の場合は Jナンバー を除いて対応付ける)
+ * @param {Spreadsheet} spreadsheet - 更新するスプレッドシート
+ * @param {Array<Array<string>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
+ * @returns {object} - 合計行数、追加行数、削除行数
+ */
+function updateOutputSpreadsheet(spreadsheet, combinedDataRows) {
+  const sheet = spreadsheet.getSheets()[0];
+  const existingValues = sheet.getDataRange().getValues();
+  const finalData = buildFinalData(combinedDataRows);
+  const generatedColumnCount = finalData[0].length;
+
+  // 生成列と更新状態列以外は手入力のメモ列として引き継ぐ
+  const existingHeader = existingValues[0] || [];
+  const hasJNumberColumn =
+    existingHeader[generatedColumnCount - 1] === getJNumberHeader();
+  const existingGeneratedColumnCount = hasJNumberColumn
+    ? generatedColumnCount
+    : generatedColumnCount - 1;
+  const statusColumnIndex = existingHeader.indexOf(UPDATE_STATUS_HEADER);
+  const noteColumnIndexes = [];
+  for (let j = existingGeneratedColumnCount; j < existingHeader.length; j++) {
+    if (j !== statusColumnIndex) noteColumnIndexes.push(j);
+  }
+
+  // 既存行をキーごとに登録 (同じキーが複数ある場合は出現順に対応付ける)
+  const existingRowsByKey = new Map();
+  existingValues.slice(1).forEach((row) => {
+    const generatedValues = row.slice(3, existingGeneratedColumnCount);
+    if (generatedValues.every((value) => value === "")) return; // 空行
+    const key = buildRowMatchKey(row, hasJNumberColumn);
+    if (!existingRowsByKey.has(key)) existingRowsByKey.set(key, []);
+    existingRowsByKey.get(key).push(row);
+  });
+
+  let addedRows = 0;
+  const dataRows = finalData.slice(1).map((row) => {
+    const matchedRows = existingRowsByKey.get(
+      buildRowMatchKey(row, hasJNumberColumn)
+    );
+    const existingRow = matchedRows && matchedRows.shift();
+    if (!existingRow) {
+      addedRows++;
+      return row.concat(
+        [UPDATE_STATUS.ADDED],
+        noteColumnIndexes.map(() => "")
+      );
+    }
+    row[0] = existingRow[0]; // A列 チェックボックス
+    row[1] = existingRow[1]; // B列 チェックボックス
+    return row.concat(
+      [""],
+      noteColumnIndexes.map((j) => existingRow[j])
+    );
+  });
+
+  // 元データから消えた行は削除せずに印を付けて残す
+  let removedRows = 0;
+  existingRowsByKey.forEach((rows) => {
+    rows.forEach((existingRow) => {
+      removedRows++;
+      const generatedValues = existingRow.slice(
+        0,
+        existingGeneratedColumnCount
+      );
+      while (generatedValues.length < generatedColumnCount) {
+        generatedValues.push(""); // 以前の出力にはJナンバー列がない
+      }
+      dataRows.push(
+        generatedValues.concat(
+          [UPDATE_STATUS.REMOVED],
+          noteColumnIndexes.map((j) => existingRow[j])
+        )
+      );
+    });
+  });
+
+  const headerRow = finalData[0].concat(
+    [UPDATE_STATUS_HEADER],
+    noteColumnIndexes.map((j) => existingHeader[j])
+  );
+  const updatedData = [headerRow].concat(dataRows);
+
+  sheet.getDataRange().clearDataValidations();
+  sheet.clear();
+  writeOutputSheet(sheet, updatedData);
+  applyRowHeights(sheet, updatedData.length, getSettings().ROW_HEIGHT);
+  applyConditionalFormatting(sheet, updatedData);
+  applyUpdateStatusFormatting(
+    sheet,
+    updatedData.length,
+    generatedColumnCount + 1
+  );
+
+  return { totalRows: dataRows.length, addedRows, removedRows };
+}
+
+/**
+ * 行の対応付けに使うキー (Jナンバー_カテゴリ_Unit番号_部品番号) を作成する関数
+ * @param {Array<*>} row - 出力シートの行 (A列始まり)
+ * @param {boolean} includeJNumber - Jナンバーをキーに含める場合 true
+ * @returns {string} - 対応付けキー
+ */
+function buildRowMatchKey(row, includeJNumber) {
+  const CATEGORY_INDEX = OUTPUT_COLUMNS.CATEGORY - 1;
+  const UNIT_INDEX = OUTPUT_COLUMNS.UNIT - 1;
+  const PART_NUMBER_INDEX = OUTPUT_COLUMNS.PART_NUMBER - 1;
+  const JNUMBER_INDEX = OUTPUT_COLUMNS.JNUMBER - 1;
+  const values = [row[CATEGORY_INDEX], row[UNIT_INDEX], row[PART_NUMBER_INDEX]];
+  if (includeJNumber) values.unshift(row[JNUMBER_INDEX]);
+  return values.map(normalizeMatchValue).join("_");
+}
+
+/**
+ * 行の対応付け用に値を正規化する関数
+ * 数値書式の違い (3 と "03") を吸収する
+ * @param {*} value - セルの値
+ * @returns {string} - 正規化された文字列
+ */
+function normalizeMatchValue(value) {
+  const text = String(value).trim();
+  return /^\d+$/.test(text) ? String(parseInt(text, 10)) : text;
+}
+
+/**
+ * 更新状態に応じた条件付き書式を追加する関数
+ * 新規行は背景色で強調し、削除行は取り消し線を付ける
+ * @param {Sheet} sheet - 対象のシート
+ * @param {number} rowCount - 行数 (ヘッダー行を含む)
+ * @param {number} statusColumn - 更新状態列の列番号
+ */
+function applyUpdateStatusFormatting(sheet, rowCount, statusColumn) {
+  if (rowCount <= 1) return;
+  const range = sheet.getRange(2, 1, rowCount - 1, sheet.getLastColumn());
+  const statusColumnLetter = sheet
+    .getRange(1, statusColumn)
+    .getA1Notation()
+    .replace(/\d+$/, "");
+
+  const addedRule = SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied(`=$${statusColumnLetter}2="${UPDATE_STATUS.ADDED}"`)
+    .setBackground("#ccffcc")
+    .setRanges([range])
+    .build();
+
+  const removedRule = SpreadsheetApp.newConditionalFormatRule()
+    .whenFormulaSatisfied(`=$${statusColumnLetter}2="${UPDATE_STATUS.REMOVED}"`)
+    .setFontColor("#999999")
+    .setStrikethrough(true)
+    .setRanges([range])
+    .build();
+
+  // チェック済みの書式 (先頭2件) を優先する
+  const rules = sheet.getConditionalFormatRules();
+  rules.splice(2, 0, addedRule, removedRule);
+  sheet.setConditionalFormatRules(rules);
+}
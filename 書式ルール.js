@@ -0,0 +1,149 @@
+/**
+ * 条件付き書式のルール表
+ * 設定スプレッドシートの「書式ルール」シート (対象列 | 条件 | 値 | 背景色 | 文字色) から
+ * 手配先や表面処理などの色分けを作成します。シートがない場合や有効な行がない場合は既定のルールを使います。
+ * カテゴリごとの色はカテゴリ表 (カテゴリ.js) から作成し、書式ルール表より先に適用します。
+ */
+
+const FORMATTING_RULES_SHEET_NAME = "書式ルール";
+
+// 条件の種類
+const FORMATTING_MATCH_TYPES = {
+  EQUALS: "equals", // 値と一致
+  CONTAINS: "contains", // 値を含む
+  REGEX: "regex", // 正規表現に一致
+  FORMULA: "formula", // 数式 (2行目基準で記述、例: =$D2="製作")
+};
+
+// 書式ルールシートがない (または有効な行がない) 場合の既定ルール
+const DEFAULT_FORMATTING_RULES = [
+  { column: "K", matchType: "equals", value: "社内", background: "#90ee90" },
+  { column: "K", matchType: "equals", value: "MISUMI", background: "#ffff00" },
+  { column: "K", matchType: "equals", value: "KEYENCE", background: "#d3d3d3" },
+  { column: "J", matchType: "equals", value: "塗装", background: "#add8e6" },
+  {
+    column: "J",
+    matchType: "equals",
+    value: "ユニクロ",
+    background: "#ffc0cb",
+  },
+  {
+    column: "J",
+    matchType: "equals",
+    value: "アルマイト",
+    background: "#90ee90",
+  },
+  {
+    column: "J",
+    matchType: "equals",
+    value: "硬質クロム",
+    background: "#dda0dd",
+  },
+  {
+    column: "J",
+    matchType: "equals",
+    value: "無電解ニッケル",
+    background: "#ffa500",
+  },
+];
+
+let formattingRulesCache = null; // 実行中に読み込んだ書式ルール表
+
+/**
+ * カテゴリ表と書式ルール表の書式ルールを読み込む関数
+ * @returns {Array<object>} - 書式ルールの配列 ({ column, matchType, value, background, fontColor })
+ */
+function loadFormattingRules() {
+  return buildCategoryFormattingRules().concat(loadFormattingRuleTable());
+}
+
+/**
+ * 書式ルールを設定スプレッドシートから読み込む関数 (実行中は読み直さない)
+ * 有効な行がない場合は警告を出して既定のルールを使う
+ * @returns {Array<object>} - 書式ルールの配列 ({ column, matchType, value, background, fontColor })
+ */
+function loadFormattingRuleTable() {
+  if (formattingRulesCache) return formattingRulesCache;
+  const sheetRows = readSettingsSheetRows(FORMATTING_RULES_SHEET_NAME);
+  if (!sheetRows) {
+    formattingRulesCache = DEFAULT_FORMATTING_RULES;
+    return formattingRulesCache;
+  }
+
+  const validMatchTypes = Object.values(FORMATTING_MATCH_TYPES);
+  const rules = [];
+  sheetRows
+    .slice(1) // ヘッダー行を除外
+    .forEach((row, index) => {
+      const [column, matchType, value, background, fontColor] = row.map(
+        (cell) => String(cell === undefined ? "" : cell).trim()
+      );
+      if (!column && !value) return; // 空行
+      const normalizedMatchType = matchType.toLowerCase() || "equals";
+      if (
+        !/^[A-Z]+$/i.test(column) ||
+        !validMatchTypes.includes(normalizedMatchType)
+      ) {
+        console.warn(
+          `書式ルール ${index + 2} 行目が不正なためスキップします: ${row.join(
+            ", "
+          )}`
+        );
+        return;
+      }
+      rules.push({
+        column: column.toUpperCase(),
+        matchType: normalizedMatchType,
+        value,
+        background,
+        fontColor,
+      });
+    });
+  if (rules.length === 0) {
+    console.warn(
+      `${FORMATTING_RULES_SHEET_NAME}シートに有効な行がないため、既定の書式ルールを使います`
+    );
+    formattingRulesCache = DEFAULT_FORMATTING_RULES;
+    return formattingRulesCache;
+  }
+  formattingRulesCache = rules;
+  return formattingRulesCache;
+}
+
+/**
+ * 書式ルールから条件付き書式ルールを作成する関数
+ * @param {Sheet} sheet - 対象のシート
+ * @param {object} rule - 書式ルール
+ * @param {number} rowCount - 行数 (ヘッダー行を含む)
+ * @returns {ConditionalFormatRule} - 条件付き書式ルール
+ */
+function buildFormattingRule(sheet, rule, rowCount) {
+  const column = convertColumnLettersToIndex(rule.column) + 1;
+  const builder = SpreadsheetApp.newConditionalFormatRule().setRanges([
+    sheet.getRange(2, column, rowCount - 1, 1),
+  ]);
+
+  switch (rule.matchType) {
+    case FORMATTING_MATCH_TYPES.EQUALS:
+      builder.whenTextEqualTo(rule.value);
+      break;
+    case FORMATTING_MATCH_TYPES.CONTAINS:
+      builder.whenTextContains(rule.value);
+      break;
+    case FORMATTING_MATCH_TYPES.REGEX:
+      builder.whenFormulaSatisfied(
+        `=REGEXMATCH(TO_TEXT(${rule.column}2),"${rule.value.replace(
+          /"/g,
+          '""'
+        )}")`
+      );
+      break;
+    case FORMATTING_MATCH_TYPES.FORMULA:
+      builder.whenFormulaSatisfied(rule.value);
+      break;
+  }
+
+  if (rule.background) builder.setBackground(rule.background);
+  if (rule.fontColor) builder.setFontColor(rule.fontColor);
+  return builder.build();
+}
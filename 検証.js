@@ -0,0 +1,243 @@
+/**
+ * 結合データの検証
+ * 部品番号・型式の欠落、数量・日付の不正、Unit内の部品番号の重複、未登録の手配先、
+ * カテゴリの不一致を検出し、元ファイルと行番号付きで「検証」シートに書き出します。
+ */
+
+const VALIDATION_SHEET_NAME = "検証";
+const VALIDATION_ISSUE_TYPES = {
+  MISSING_PART_NUMBER: "部品番号なし",
+  MISSING_MODEL: "型式なし",
+  INVALID_QUANTITY: "数量不正",
+  INVALID_DATE: "日付不正",
+  PAST_DATE: "日付経過",
+  DUPLICATE_PART_NUMBER: "部品番号重複",
+  UNKNOWN_SUPPLIER: "未登録の手配先",
+  CATEGORY_MISMATCH: "カテゴリ不一致",
+};
+
+/**
+ * 結合データを検証する関数
+ * @param {Array<Array<*>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
+ * @param {Array<object>} rowSources - データ行ごとの元ファイルと行番号
+ * @returns {Array<object>} - 検出した問題の配列 ({ type, message, row, source })
+ */
+function validateMergeData(combinedDataRows, rowSources) {
+  const CATEGORY_INDEX = toCombinedIndex(OUTPUT_COLUMNS.CATEGORY);
+  const UNIT_INDEX = toCombinedIndex(OUTPUT_COLUMNS.UNIT);
+  const PART_NUMBER_INDEX = toCombinedIndex(OUTPUT_COLUMNS.PART_NUMBER);
+  const SUPPLIER_INDEX = toCombinedIndex(OUTPUT_COLUMNS.SUPPLIER);
+  const JNUMBER_INDEX = toCombinedIndex(OUTPUT_COLUMNS.JNUMBER);
+  const DATE_INDEXES = [OUTPUT_COLUMNS.DATE_L, OUTPUT_COLUMNS.DATE_M].map(
+    toCombinedIndex
+  );
+  const modelIndex = findCombinedIndexByColumnName(
+    getSettings().MODEL_COLUMN,
+    /型式|品名/
+  );
+  const quantityIndex = findCombinedIndexByColumnName(
+    getSettings().QUANTITY_COLUMN,
+    /数量/
+  );
+  const knownSuppliers = getKnownSuppliers();
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  const issues = [];
+  const seenPartNumbers = new Map();
+
+  combinedDataRows.slice(1).forEach((row, index) => {
+    const source = rowSources[index] || {};
+    const addIssue = (type, message) =>
+      issues.push({ type, message, row, source });
+    const isBlank = (value) =>
+      value === undefined || value === null || String(value).trim() === "";
+
+    // 部品番号・型式の欠落
+    if (isBlank(row[PART_NUMBER_INDEX])) {
+      addIssue(
+        VALIDATION_ISSUE_TYPES.MISSING_PART_NUMBER,
+        "部品番号が空欄です"
+      );
+    }
+    if (modelIndex !== -1 && isBlank(row[modelIndex])) {
+      addIssue(VALIDATION_ISSUE_TYPES.MISSING_MODEL, "型式が空欄です");
+    }
+
+    // 数量
+    if (quantityIndex !== -1) {
+      const quantity = Number(String(row[quantityIndex]).trim());
+      if (isBlank(row[quantityIndex]) || isNaN(quantity) || quantity <= 0) {
+        addIssue(
+          VALIDATION_ISSUE_TYPES.INVALID_QUANTITY,
+          `数量が正の数ではありません: ${formatCellText(row[quantityIndex])}`
+        );
+      }
+    }
+
+    // 納期などの日付列
+    DATE_INDEXES.forEach((dateIndex) => {
+      const value = row[dateIndex];
+      if (isBlank(value)) return;
+      const date = value instanceof Date ? value : new Date(String(value));
+      const columnName = getRevisionColumnName(dateIndex);
+      if (isNaN(date.getTime())) {
+        addIssue(
+          VALIDATION_ISSUE_TYPES.INVALID_DATE,
+          `${columnName} を日付として読めません: ${value}`
+        );
+      } else if (date < today) {
+        addIssue(
+          VALIDATION_ISSUE_TYPES.PAST_DATE,
+          `${columnName} が過ぎています: ${formatCellText(value)}`
+        );
+      }
+    });
+
+    // 同じUnit内の部品番号の重複
+    if (!isBlank(row[PART_NUMBER_INDEX])) {
+      const key = [
+        row[JNUMBER_INDEX],
+        row[CATEGORY_INDEX],
+        row[UNIT_INDEX],
+        row[PART_NUMBER_INDEX],
+      ]
+        .map(normalizeMatchValue)
+        .join("_");
+      const firstSource = seenPartNumbers.get(key);
+      if (firstSource) {
+        addIssue(
+          VALIDATION_ISSUE_TYPES.DUPLICATE_PART_NUMBER,
+          `部品番号 ${row[PART_NUMBER_INDEX]} が重複しています (${firstSource.fileName} ${firstSource.rowNumber}行目)`
+        );
+      } else {
+        seenPartNumbers.set(key, source);
+      }
+    }
+
+    // 手配先
+    const supplier = String(row[SUPPLIER_INDEX]).trim();
+    if (
+      knownSuppliers.length > 0 &&
+      supplier &&
+      !knownSuppliers.includes(supplier)
+    ) {
+      addIssue(
+        VALIDATION_ISSUE_TYPES.UNKNOWN_SUPPLIER,
+        `登録されていない手配先です: ${supplier}`
+      );
+    }
+
+    // 行ルール適用後のカテゴリと、ファイル名・フォルダ名から判定したカテゴリの不一致
+    const sourceCategory = inferSourceCategory(source);
+    if (sourceCategory && row[CATEGORY_INDEX] !== sourceCategory) {
+      addIssue(
+        VALIDATION_ISSUE_TYPES.CATEGORY_MISMATCH,
+        `カテゴリ (${
+          row[CATEGORY_INDEX] || "なし"
+        }) がファイル名・フォルダ名のカテゴリ (${sourceCategory}) と一致しません`
+      );
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * 元ファイルの名前からカテゴリを判定する関数
+ * ファイル名で判定できない場合は、近いフォルダから順にフォルダ名 (例: 部品リスト/購入) で判定する
+ * @param {object} source - データ行の元ファイルと行番号 ({ folderPath, fileName })
+ * @returns {string} - カテゴリ (判定できない場合は空文字列)
+ */
+function inferSourceCategory(source) {
+  const fileCategory = source.fileName
+    ? determineCategory(source.fileName)
+    : "";
+  if (fileCategory) return fileCategory;
+  const folderNames = String(source.folderPath || "")
+    .split("/")
+    .filter((name) => name !== "")
+    .reverse();
+  for (const folderName of folderNames) {
+    const folderCategory = determineCategory(`_${folderName}_`);
+    if (folderCategory) return folderCategory;
+  }
+  return "";
+}
+
+/**
+ * 登録済みの手配先を取得する関数
+ * 設定 KNOWN_SUPPLIERS と、書式ルールで手配先列に色を付けている値を使う
+ * @returns {Array<string>} - 手配先の配列 (空の場合は手配先を検証しない)
+ */
+function getKnownSuppliers() {
+  const supplierColumn = String.fromCharCode(
+    "A".charCodeAt(0) + OUTPUT_COLUMNS.SUPPLIER - 1
+  );
+  const suppliers = loadFormattingRules()
+    .filter(
+      (rule) =>
+        rule.column === supplierColumn &&
+        rule.matchType === FORMATTING_MATCH_TYPES.EQUALS
+    )
+    .map((rule) => rule.value);
+  return suppliers.concat(getSettings().KNOWN_SUPPLIERS || []);
+}
+
+/**
+ * 検証シートを作成 (既存の場合は書き換え) する関数
+ * 元ファイルへのリンクと元の行番号を付ける
+ * @param {Spreadsheet} spreadsheet - 出力先のスプレッドシート
+ * @param {Array<Array<*>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
+ * @param {Array<object>} rowSources - データ行ごとの元ファイルと行番号
+ * @returns {number} - 検出した問題の件数
+ */
+function writeValidationSheet(spreadsheet, combinedDataRows, rowSources) {
+  const issues = validateMergeData(combinedDataRows, rowSources || []);
+  const sheet =
+    spreadsheet.getSheetByName(VALIDATION_SHEET_NAME) ||
+    spreadsheet.insertSheet(VALIDATION_SHEET_NAME);
+  sheet.clear();
+  const columnNames = getSettings().COLUMN_NAMES;
+
+  const headerRow = [
+    "種別",
+    "内容",
+    getJNumberHeader(),
+    columnNames.D,
+    columnNames.E,
+    columnNames.F,
+    "フォルダ",
+    "元ファイル",
+    "元の行",
+  ];
+  const rows = issues.map(({ type, message, row, source }) => [
+    type,
+    message,
+    row[toCombinedIndex(OUTPUT_COLUMNS.JNUMBER)],
+    row[toCombinedIndex(OUTPUT_COLUMNS.CATEGORY)],
+    row[toCombinedIndex(OUTPUT_COLUMNS.UNIT)],
+    row[toCombinedIndex(OUTPUT_COLUMNS.PART_NUMBER)],
+    source.folderPath || "",
+    source.fileUrl
+      ? `=HYPERLINK("${source.fileUrl}","${String(source.fileName).replace(
+          /"/g,
+          '""'
+        )}")`
+      : source.fileName || "",
+    source.rowNumber || "",
+  ]);
+  if (rows.length === 0) rows.push(["問題は見つかりませんでした"]);
+
+  const values = [headerRow].concat(
+    rows.map((row) => row.concat(Array(headerRow.length - row.length).fill("")))
+  );
+  sheet.getRange(1, 1, values.length, headerRow.length).setValues(values);
+  sheet
+    .getRange(1, 1, 1, headerRow.length)
+    .setBackground("#f3f3f3")
+    .setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, headerRow.length);
+  return issues.length;
+}
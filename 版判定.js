@@ -0,0 +1,113 @@
+/**
+ * 部品リストの版の判定
+ * 同じJナンバー・カテゴリ・ユニットのファイルが複数ある場合に、どれが新しい版かを判定します。
+ * 判定方法は設定 REVISION_STRATEGIES に優先順で指定します (既定は ["datePrefix", "revSuffix"])。
+ * 先の方法で差がつかない場合 (同じ値、またはどちらかのファイルで判定できない場合) は次の方法で比べ、
+ * すべての方法で差がつかない場合は版の競合とします。
+ *
+ * 判定方法を追加する場合は REVISION_STRATEGIES に { label, getRevision(file, fileName) } を追加します。
+ * getRevision は新しい版ほど大きい数値を返し、判定できない場合は null を返します。
+ */
+
+const DEFAULT_REVISION_STRATEGIES = ["datePrefix", "revSuffix"];
+const REVISION_STRATEGIES = {
+  // ファイル名の先頭の日付 (YYYYMMDD)
+  datePrefix: {
+    label: "日付",
+    getRevision(file, fileName) {
+      const match = fileName.match(/^(\d{8})/);
+      return match ? Number(match[1]) : null;
+    },
+  },
+  // ファイル名の末尾の改訂番号 (Rev2, Rev.B, 改, 改3 など)。付いていない場合は初版の 0
+  revSuffix: {
+    label: "改訂",
+    getRevision(file, fileName) {
+      const baseName = fileName
+        .normalize("NFKC")
+        .replace(/\.[^.]+$/, "")
+        .trim();
+      const revMatch = baseName.match(/(?:^|[^a-z])rev\.?\s*(\d+|[a-z])\)?$/i);
+      if (revMatch) {
+        const revision = revMatch[1];
+        return /^\d+$/.test(revision)
+          ? Number(revision)
+          : revision.toUpperCase().charCodeAt(0) - "A".charCodeAt(0) + 1;
+      }
+      const kaiMatch = baseName.match(/改訂?\s*(\d*)\)?$/);
+      if (kaiMatch) return kaiMatch[1] ? Number(kaiMatch[1]) : 1;
+      return 0;
+    },
+  },
+  // Google ドライブの最終更新日時
+  lastUpdated: {
+    label: "更新日時",
+    getRevision: (file) => file.getLastUpdated().getTime(),
+  },
+};
+
+/**
+ * 設定で指定された版の判定方法の名前を取得する関数
+ * @returns {Array<string>} - 判定方法の名前の配列 (優先順)
+ */
+function getRevisionStrategyNames() {
+  const names =
+    getSettings().REVISION_STRATEGIES || DEFAULT_REVISION_STRATEGIES;
+  names.forEach((name) => {
+    if (!REVISION_STRATEGIES[name])
+      throw new Error(`版の判定方法が正しくありません: ${name}`);
+  });
+  return names;
+}
+
+/**
+ * ファイルの版を判定する関数
+ * @param {File} file - 部品リストのファイル
+ * @param {Array<string>} strategyNames - 判定方法の名前の配列 (getRevisionStrategyNames の戻り値)
+ * @returns {Array<object>} - 判定方法ごとの版 ({ name, value })。判定できない場合の value は null
+ */
+function getFileRevision(file, strategyNames) {
+  const fileName = file.getName();
+  return strategyNames.map((name) => ({
+    name,
+    value: REVISION_STRATEGIES[name].getRevision(file, fileName),
+  }));
+}
+
+/**
+ * 2つのファイルの版を比較する関数
+ * @param {Array<object>} revisionA - getFileRevision の戻り値
+ * @param {Array<object>} revisionB - getFileRevision の戻り値
+ * @returns {number} - A の方が新しい場合は正、古い場合は負、差がつかない場合は 0
+ */
+function compareFileRevisions(revisionA, revisionB) {
+  for (let i = 0; i < revisionA.length; i++) {
+    const valueA = revisionA[i].value;
+    const valueB = revisionB[i].value;
+    // どちらかで判定できない方法は比較に使わない
+    if (valueA === null || valueB === null || valueA === valueB) continue;
+    return valueA > valueB ? 1 : -1;
+  }
+  return 0;
+}
+
+/**
+ * ファイルの版を表示用の文字列にする関数
+ * @param {Array<object>} revision - getFileRevision の戻り値
+ * @returns {string} - 「日付: 20240401 / 改訂: 2」の形式の文字列
+ */
+function formatFileRevision(revision) {
+  return revision
+    .map(({ name, value }) => {
+      let text = value === null ? "なし" : String(value);
+      if (name === "lastUpdated" && value !== null) {
+        text = Utilities.formatDate(
+          new Date(value),
+          "JST",
+          "yyyy/MM/dd HH:mm:ss"
+        );
+      }
+      return `${REVISION_STRATEGIES[name].label}: ${text}`;
+    })
+    .join(" / ");
+}
@@ -0,0 +1,280 @@
+/**
+ * 時間主導トリガーによる自動処理
+ * 親フォルダ直下の案件フォルダを巡回し、前回の実行から部品リストが追加・更新された案件だけを
+ * 結合し直します (以前に自動処理で作成した出力があれば更新モードで更新し、エクスポートも作り直す)。UIは使用しません。
+ *
+ * 案件ごとの有効/無効は設定シートの AUTO_PROCESS_PROJECT_<フォルダ名またはJナンバー> (TRUE/FALSE) で指定し、
+ * 指定のない案件は AUTO_PROCESS_DEFAULT (既定: FALSE) に従います。
+ */
+
+const AUTO_PROCESS_HANDLER = "runAutoProcess";
+const AUTO_PROCESS_STATE_PREFIX = "AUTO_PROCESS_STATE_";
+const AUTO_PROCESS_TIME_BUDGET_MS = 4.5 * 60 * 1000; // 1回の実行で処理する時間 (上限6分)
+const DEFAULT_AUTO_PROCESS_INTERVAL_HOURS = 1;
+
+/**
+ * 自動処理の時間主導トリガーを作成する関数 (メニューから実行)
+ */
+function installAutoProcessTrigger() {
+  // everyHours に指定できない間隔は設定の読み込み時 (SETTINGS_SCHEMA) にエラーになる
+  const intervalHours =
+    getSettings().AUTO_PROCESS_INTERVAL_HOURS ||
+    DEFAULT_AUTO_PROCESS_INTERVAL_HOURS;
+
+  deleteAutoProcessTriggers();
+  ScriptApp.newTrigger(AUTO_PROCESS_HANDLER)
+    .timeBased()
+    .everyHours(intervalHours)
+    .create();
+  SpreadsheetApp.getUi().alert("自動処理を有効にしました。");
+}
+
+/**
+ * 自動処理の時間主導トリガーを削除する関数 (メニューから実行)
+ */
+function uninstallAutoProcessTrigger() {
+  deleteAutoProcessTriggers();
+  SpreadsheetApp.getUi().alert("自動処理を無効にしました。");
+}
+
+/**
+ * 変更のあった案件を処理する関数 (時間主導トリガーから実行)
+ * 時間内に処理しきれなかった案件は次回の実行で処理される
+ */
+function runAutoProcess() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(30 * 1000)) {
+    console.warn("前回の自動処理が実行中のため終了します");
+    return;
+  }
+  const startTime = Date.now();
+  try {
+    const projectFolders = DriveApp.getFolderById(
+      getParentFolderId()
+    ).getFolders();
+    while (projectFolders.hasNext()) {
+      if (Date.now() - startTime > AUTO_PROCESS_TIME_BUDGET_MS) {
+        console.warn("時間内に処理しきれなかった案件は次回に処理します");
+        return;
+      }
+      const projectFolder = projectFolders.next();
+      try {
+        useProjectSettings([projectFolder.getId()]); // 案件の上書き設定で有効/無効を切り替えられる
+        if (!isAutoProcessEnabled(projectFolder.getName())) continue;
+        processChangedProject(projectFolder);
+      } catch (e) {
+        console.error(
+          `自動処理でエラーが発生しました (${projectFolder.getName()}): ${e.toString()}`
+        );
+      }
+    }
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * 案件の部品リストに変更があれば出力を作成・更新する関数
+ * @param {Folder} projectFolder - 案件フォルダ
+ */
+function processChangedProject(projectFolder) {
+  const folderId = projectFolder.getId();
+  const state = loadAutoProcessState(folderId);
+  const fileTimestamps = collectProjectFileTimestamps(folderId);
+  if (Object.keys(fileTimestamps).length === 0) return;
+  const fileSignature = buildProjectFileSignature(fileTimestamps);
+  if (fileSignature === state.fileSignature) return;
+
+  let outputSpreadsheetIds = state.outputSpreadsheetIds;
+  if (outputSpreadsheetIds.length > 0) {
+    outputSpreadsheetIds = syncAutoProcessOutputs(
+      folderId,
+      outputSpreadsheetIds
+    );
+  } else {
+    const result = combineExcelSheets([folderId]);
+    if (!result.success) throw new Error(result.error);
+    outputSpreadsheetIds = result.urls.map(extractSpreadsheetId);
+  }
+
+  saveAutoProcessState(folderId, {
+    fileSignature,
+    outputSpreadsheetIds,
+    processedAt: formatMergeJobTime(new Date()),
+  });
+}
+
+/**
+ * 以前に自動処理で作成した出力を、現在の結合データで更新する関数
+ * 削除されたスプレッドシートと、データのなくなったJナンバーのスプレッドシートは対象から外し、
+ * 出力のないJナンバー (MULTI_JNUMBER_MODE が "split" の場合) はスプレッドシートを作成する
+ * @param {string} folderId - 案件フォルダのID
+ * @param {Array<string>} outputSpreadsheetIds - 前回までの出力スプレッドシートのID
+ * @returns {Array<string>} - 更新・作成した出力スプレッドシートのID
+ */
+function syncAutoProcessOutputs(folderId, outputSpreadsheetIds) {
+  const mergeData = collectMergeData([folderId]);
+  const outputs = splitMergeDataByJNumber(mergeData);
+  const updatedOutputs = new Set();
+  const spreadsheetIds = [];
+
+  outputSpreadsheetIds.forEach((spreadsheetId) => {
+    const file = findAutoProcessOutputFile(spreadsheetId);
+    if (!file) {
+      console.warn(
+        `出力スプレッドシートが見つからないため対象から外します: ${spreadsheetId}`
+      );
+      return;
+    }
+    const jNumber = extractJNumber(file.getName());
+    const outputData =
+      outputs.length === 1
+        ? outputs[0]
+        : outputs.find((output) => output.jNumberSet.has(jNumber));
+    if (!outputData) {
+      console.warn(
+        `Jナンバー ${
+          jNumber || "なし"
+        } のデータがないため対象から外します: ${file.getName()}`
+      );
+      return;
+    }
+    const result = updateExistingSpreadsheet(
+      [folderId],
+      spreadsheetId,
+      mergeData
+    );
+    if (!result.success) throw new Error(result.error);
+    updatedOutputs.add(outputData);
+    spreadsheetIds.push(spreadsheetId);
+  });
+
+  // 出力のないJナンバー (または削除された出力) のスプレッドシートを作成する
+  outputs
+    .filter(
+      (outputData) =>
+        !updatedOutputs.has(outputData) &&
+        outputData.combinedDataRows.length > 0
+    )
+    .forEach((outputData) => {
+      const { spreadsheet, supplierUrls } = createOutputSpreadsheet(outputData);
+      appendRunLog(
+        RUN_LOG_ACTIONS.COMBINE,
+        [folderId],
+        outputData,
+        [spreadsheet.getUrl()].concat(supplierUrls),
+        ""
+      );
+      notifyRunResult(
+        RUN_LOG_ACTIONS.COMBINE,
+        [folderId],
+        outputData,
+        [spreadsheet.getUrl()].concat(supplierUrls),
+        ""
+      );
+      spreadsheetIds.push(spreadsheet.getId());
+    });
+  return spreadsheetIds;
+}
+
+/**
+ * 出力スプレッドシートのファイルを取得する関数
+ * @param {string} spreadsheetId - スプレッドシートのID
+ * @returns {File|null} - ファイル (削除された、またはアクセスできない場合は null)
+ */
+function findAutoProcessOutputFile(spreadsheetId) {
+  try {
+    const file = DriveApp.getFileById(spreadsheetId);
+    return file.isTrashed() ? null : file;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 案件の自動処理が有効か判定する関数
+ * @param {string} folderName - 案件フォルダ名
+ * @returns {boolean} - 有効な場合 true
+ */
+function isAutoProcessEnabled(folderName) {
+  if (folderName.startsWith("@")) return false;
+  const projects = getSettings().AUTO_PROCESS_PROJECTS;
+  const jNumber = extractJNumber(folderName);
+  if (folderName in projects) return projects[folderName];
+  if (jNumber && jNumber in projects) return projects[jNumber];
+  return getSettings().AUTO_PROCESS_DEFAULT === true;
+}
+
+/**
+ * 案件内の対象ファイルの最終更新日時を集める関数
+ * @param {string} folderId - 案件フォルダのID
+ * @returns {object} - ファイルIDごとの最終更新日時 (ミリ秒)
+ */
+function collectProjectFileTimestamps(folderId) {
+  const fileTimestamps = {};
+  let targetFolders;
+  try {
+    targetFolders = discoverMergeTargets([folderId]).targetFolders;
+  } catch (e) {
+    return fileTimestamps; // 部品リストフォルダがない案件
+  }
+  targetFolders.forEach((targetFolder) => {
+    targetFolder.files.forEach(({ file }) => {
+      const fileName = file.getName().toLowerCase();
+      if (!VALID_EXTENSIONS.some((ext) => fileName.endsWith(ext))) return;
+      fileTimestamps[file.getId()] = file.getLastUpdated().getTime();
+    });
+  });
+  return fileTimestamps;
+}
+
+/**
+ * ファイルIDと最終更新日時から案件の部品リストの署名を作成する関数
+ * ファイルの追加・更新・削除で署名が変わる (プロパティの容量を超えないようにハッシュにする)
+ * @param {object} fileTimestamps - ファイルIDごとの最終更新日時
+ * @returns {string} - 署名
+ */
+function buildProjectFileSignature(fileTimestamps) {
+  const text = Object.keys(fileTimestamps)
+    .sort()
+    .map((fileId) => `${fileId}:${fileTimestamps[fileId]}`)
+    .join("\n");
+  return Utilities.base64Encode(
+    Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, text)
+  );
+}
+
+/**
+ * 案件の自動処理の状態を読み込む関数
+ * @param {string} folderId - 案件フォルダのID
+ * @returns {object} - 前回の部品リストの署名と、出力スプレッドシートのID
+ */
+function loadAutoProcessState(folderId) {
+  const json = PropertiesService.getScriptProperties().getProperty(
+    AUTO_PROCESS_STATE_PREFIX + folderId
+  );
+  return json
+    ? JSON.parse(json)
+    : { fileSignature: "", outputSpreadsheetIds: [], processedAt: "" };
+}
+
+/**
+ * 案件の自動処理の状態を保存する関数
+ * @param {string} folderId - 案件フォルダのID
+ * @param {object} state - 自動処理の状態
+ */
+function saveAutoProcessState(folderId, state) {
+  PropertiesService.getScriptProperties().setProperty(
+    AUTO_PROCESS_STATE_PREFIX + folderId,
+    JSON.stringify(state)
+  );
+}
+
+/**
+ * 自動処理用のトリガーをすべて削除する関数
+ */
+function deleteAutoProcessTriggers() {
+  ScriptApp.getProjectTriggers()
+    .filter((trigger) => trigger.getHandlerFunction() === AUTO_PROCESS_HANDLER)
+    .forEach((trigger) => ScriptApp.deleteTrigger(trigger));
+}
@@ -0,0 +1,249 @@
+/**
+ * 行の絞り込み・変換ルール表
+ * 設定スプレッドシートの「行ルール」シート (条件列 | 条件 | 値 | 処理 | 処理列 | 設定値 | カテゴリ) に従って、
+ * 部品リストの読み込み時に行を除外したり、セルの値を書き換えたりします。シートがない場合や有効な行がない場合は既定のルールを使います。
+ *
+ * - 条件: equals (一致) / contains (含む) / regex (正規表現) / empty (空欄) / in-list (カンマ区切りのいずれかと一致)。
+ *   空欄の場合はすべての行が対象です
+ * - 処理: exclude (一致した行を除外) / include (一致しない行を除外) / clear (処理列を空欄にする) / set (処理列に設定値を入れる)。
+ *   処理列を省略した場合は条件列を書き換えます
+ * - カテゴリ: カンマ区切りのカテゴリ (例: 購入,電気)。空欄の場合はすべてのカテゴリが対象です
+ *
+ * ルールは上から順に適用し、除外した行には以降のルールを適用しません。
+ * カテゴリごとに常に空欄にする列 (購入・電気のL列など) はカテゴリ表 (カテゴリ.js) で指定します。
+ */
+
+const ROW_RULES_SHEET_NAME = "行ルール";
+
+// 条件の種類
+const ROW_RULE_OPERATORS = {
+  EQUALS: "equals",
+  CONTAINS: "contains",
+  REGEX: "regex",
+  EMPTY: "empty",
+  IN_LIST: "in-list",
+};
+
+// 処理の種類
+const ROW_RULE_ACTIONS = {
+  EXCLUDE: "exclude",
+  INCLUDE: "include",
+  CLEAR: "clear",
+  SET: "set",
+};
+
+// 行ルールシートがない (または有効な行がない) 場合の既定ルール
+const DEFAULT_ROW_RULES = [
+  {
+    column: "G",
+    operator: "equals",
+    value: "社内在庫なし",
+    action: "exclude",
+    targetColumn: "G",
+    setValue: "",
+    categories: [],
+  },
+];
+
+let rowRulesCache = null; // 実行中に読み込んだ行ルール
+
+/**
+ * 行ルールを設定スプレッドシートから読み込む関数 (実行中は読み直さない)
+ * 不正な行は警告を出してスキップし、有効な行がない場合は既定のルールを使う
+ * @returns {Array<object>} - 行ルールの配列 ({ column, operator, value, action, targetColumn, setValue, categories })
+ */
+function loadRowRules() {
+  if (rowRulesCache) return rowRulesCache;
+  const sheetRows = readSettingsSheetRows(ROW_RULES_SHEET_NAME);
+  if (!sheetRows) {
+    rowRulesCache = DEFAULT_ROW_RULES;
+    return rowRulesCache;
+  }
+
+  const validOperators = Object.values(ROW_RULE_OPERATORS);
+  const validActions = Object.values(ROW_RULE_ACTIONS);
+  const validColumns = ["D"].concat(SOURCE_OUTPUT_COLUMN_LETTERS);
+  rowRulesCache = [];
+  sheetRows
+    .slice(1) // ヘッダー行を除外
+    .forEach((row, index) => {
+      const [
+        column,
+        operator,
+        value,
+        action,
+        targetColumn,
+        setValue,
+        categories,
+      ] = row.map((cell) => String(cell === undefined ? "" : cell).trim());
+      if (!column && !action) return; // 空行
+
+      const rule = {
+        column: column.toUpperCase(),
+        operator: operator.toLowerCase(),
+        value,
+        action: action.toLowerCase(),
+        targetColumn: (targetColumn || column).toUpperCase(),
+        setValue,
+        categories: categories
+          .split(/[,、]/)
+          .map((category) => category.trim())
+          .filter((category) => category !== ""),
+      };
+      const isValid =
+        validColumns.includes(rule.column) &&
+        validColumns.includes(rule.targetColumn) &&
+        (rule.operator === "" || validOperators.includes(rule.operator)) &&
+        validActions.includes(rule.action) &&
+        (rule.operator !== ROW_RULE_OPERATORS.REGEX ||
+          isValidRegExp(rule.value));
+      if (!isValid) {
+        console.warn(
+          `行ルール ${index + 2} 行目が不正なためスキップします: ${row.join(
+            ", "
+          )}`
+        );
+        return;
+      }
+      rowRulesCache.push(rule);
+    });
+  if (rowRulesCache.length === 0) {
+    console.warn(
+      `${ROW_RULES_SHEET_NAME}シートに有効な行がないため、既定の行ルールを使います`
+    );
+    rowRulesCache = DEFAULT_ROW_RULES;
+  }
+  return rowRulesCache;
+}
+
+/**
+ * 正規表現として解釈できる文字列か判定する関数
+ * @param {string} pattern - 正規表現の文字列
+ * @returns {boolean} - 解釈できる場合は true
+ */
+function isValidRegExp(pattern) {
+  try {
+    new RegExp(pattern);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * 部品リストのデータ行に行ルールを適用する関数
+ * 書き換えは行の配列を直接変更する
+ * @param {Array<Array<*>>} dataRows - 結合データの形式のデータ行 (ヘッダー行を除く)
+ * @param {string} category - ファイルのカテゴリ
+ * @param {Array<object>} rules - 行ルールの配列 (loadRowRules の戻り値)
+ * @returns {object} - 残った行、残った行の元のインデックス、ルールごとの除外行数と変更行数 ({ removed, changed })
+ */
+function applyRowRules(dataRows, category, rules) {
+  const toIndex = (letter) =>
+    toCombinedIndex(convertColumnLettersToIndex(letter) + 1);
+  const ruleCounts = rules.map(() => ({ removed: 0, changed: 0 }));
+  const rows = [];
+  const keptIndexes = [];
+
+  dataRows.forEach((row, index) => {
+    for (let i = 0; i < rules.length; i++) {
+      const rule = rules[i];
+      if (rule.categories.length > 0 && !rule.categories.includes(category))
+        continue;
+      const matched = matchesRowRule(row[toIndex(rule.column)], rule);
+      const targetIndex = toIndex(rule.targetColumn);
+
+      switch (rule.action) {
+        case ROW_RULE_ACTIONS.EXCLUDE:
+        case ROW_RULE_ACTIONS.INCLUDE:
+          if (matched === (rule.action === ROW_RULE_ACTIONS.EXCLUDE)) {
+            ruleCounts[i].removed++;
+            return; // 以降のルールは適用しない
+          }
+          break;
+        case ROW_RULE_ACTIONS.CLEAR:
+          if (matched && formatCellText(row[targetIndex]) !== "") {
+            row[targetIndex] = "";
+            ruleCounts[i].changed++;
+          }
+          break;
+        case ROW_RULE_ACTIONS.SET:
+          if (matched && formatCellText(row[targetIndex]) !== rule.setValue) {
+            row[targetIndex] = rule.setValue;
+            ruleCounts[i].changed++;
+          }
+          break;
+      }
+    }
+    rows.push(row);
+    keptIndexes.push(index);
+  });
+  return { rows, keptIndexes, ruleCounts };
+}
+
+/**
+ * セルの値が行ルールの条件に一致するか判定する関数
+ * @param {*} cellValue - 条件列のセルの値
+ * @param {object} rule - 行ルール
+ * @returns {boolean} - 一致する場合は true
+ */
+function matchesRowRule(cellValue, rule) {
+  const text = formatCellText(cellValue);
+  switch (rule.operator) {
+    case ROW_RULE_OPERATORS.EQUALS:
+      return text === rule.value;
+    case ROW_RULE_OPERATORS.CONTAINS:
+      return text.includes(rule.value);
+    case ROW_RULE_OPERATORS.REGEX:
+      return new RegExp(rule.value).test(text);
+    case ROW_RULE_OPERATORS.EMPTY:
+      return text === "";
+    case ROW_RULE_OPERATORS.IN_LIST:
+      return rule.value
+        .split(/[,、]/)
+        .map((item) => item.trim())
+        .includes(text);
+    default:
+      return true; // 条件なし
+  }
+}
+
+/**
+ * 行ルールを表示用の文字列にする関数
+ * @param {object} rule - 行ルール
+ * @returns {string} - 「G列 equals 社内在庫なし → exclude」の形式の文字列
+ */
+function describeRowRule(rule) {
+  let condition = "すべての行";
+  if (rule.operator === ROW_RULE_OPERATORS.EMPTY) {
+    condition = `${rule.column}列 empty`;
+  } else if (rule.operator) {
+    condition = `${rule.column}列 ${rule.operator} ${rule.value}`;
+  }
+  let action = rule.action;
+  if (rule.action === ROW_RULE_ACTIONS.CLEAR) {
+    action = `clear ${rule.targetColumn}列`;
+  } else if (rule.action === ROW_RULE_ACTIONS.SET) {
+    action = `set ${rule.targetColumn}列 = ${rule.setValue}`;
+  }
+  const scope =
+    rule.categories.length > 0 ? ` (${rule.categories.join(", ")})` : "";
+  return `${condition} → ${action}${scope}`;
+}
+
+/**
+ * 使用したファイルの行ルールの適用結果をルールごとに合計する関数
+ * @param {Array<Array<object>>} fileRuleCounts - ファイルごとの applyRowRules の ruleCounts
+ * @returns {Array<object>} - ルールごとの結果 ({ rule, removed, changed })
+ */
+function summarizeRowRuleCounts(fileRuleCounts) {
+  return loadRowRules().map((rule, i) => {
+    const totals = { rule: describeRowRule(rule), removed: 0, changed: 0 };
+    fileRuleCounts.forEach((ruleCounts) => {
+      const counts = ruleCounts[i] || { removed: 0, changed: 0 };
+      totals.removed += counts.removed;
+      totals.changed += counts.changed;
+    });
+    return totals;
+  });
+}
@@ -0,0 +1,348 @@
+/**
+ * 設定の読み込み
+ * 設定スプレッドシートの「設定」シートを基本とし、選択中のプロファイル (「設定_<プロファイル名>」シート)、
+ * 案件フォルダ内の上書き設定 (スプレッドシート「結合設定」) の順に値を上書きします。
+ * 上書き設定にキー PROFILE がある場合は、その案件ではそのプロファイルを使います。
+ *
+ * 設定は最初に使われたときに読み込みます。値は SETTINGS_SCHEMA で検証し、
+ * 必須のキーがない場合や値の形式が正しくない場合は、キーごとの問題を示すエラーにします。
+ */
+
+const SETTINGS_SPREADSHEET_ID = "14bC3-7LaiAodEHE3OoHcbibdyLe7C5OMCM8sKQTBvLk"; // 設定スプレッドシートのID
+const SETTINGS_SHEET_NAME = "設定";
+const SETTINGS_PROFILE_SHEET_PREFIX = "設定_";
+const SETTINGS_PROFILE_PROPERTY_KEY = "SETTINGS_PROFILE";
+const PROJECT_SETTINGS_FILE_NAME = "結合設定";
+
+// 設定のスキーマ (list はJSON配列または単一の値、values は指定できる値。list の場合は要素ごとに確認する)
+const SETTINGS_SCHEMA = {
+  TEMPLATE_SPREADSHEET_ID: { type: "string", required: true },
+  OUTPUT_FOLDER_ID: { type: "string", required: true },
+  TARGET_SHEET_NAME: { type: "string", required: true },
+  PARENT_FOLDER_ID: { type: "string" },
+  ROW_HEIGHT: { type: "number" },
+  MULTI_JNUMBER_MODE: { type: "string" },
+  FOLDER_INCLUDE_PATTERNS: { type: "list" },
+  FOLDER_EXCLUDE_PATTERNS: { type: "list" },
+  FILE_INCLUDE_PATTERNS: { type: "list" },
+  FILE_EXCLUDE_PATTERNS: { type: "list" },
+  FOLDER_MAX_DEPTH: { type: "number" },
+  MODEL_COLUMN: { type: "string" },
+  QUANTITY_COLUMN: { type: "string" },
+  KNOWN_SUPPLIERS: { type: "list" },
+  SUPPLIER_SPLIT_MODE: { type: "string", values: ["tabs", "files", "both"] },
+  SUPPLIER_FILE_NAME_FORMAT: { type: "string" },
+  CONSOLIDATED_BOM: { type: "boolean" },
+  CONSOLIDATED_MATCH_COLUMNS: {
+    type: "list",
+    values: ["E", "F", "G", "H", "I", "J", "K", "L", "M"], // 元ファイルから読み込む出力列
+  },
+  EXPORT_FORMATS: { type: "list" },
+  CSV_ENCODING: { type: "string", values: ["UTF-8", "Shift_JIS"] },
+  AUTO_PROCESS_DEFAULT: { type: "boolean" },
+  AUTO_PROCESS_INTERVAL_HOURS: { type: "number", values: [1, 2, 4, 6, 8, 12] },
+  NOTIFY_DEFAULT_RECIPIENTS: { type: "list" },
+  REVISION_STRATEGIES: {
+    type: "list",
+    values: ["datePrefix", "revSuffix", "lastUpdated"],
+  },
+  PROFILE: { type: "string" },
+};
+
+// 接頭辞付きのキー (接頭辞を除いた部分をキーにして target のオブジェクトにまとめる)
+const SETTINGS_PREFIX_SCHEMA = [
+  { prefix: "COLUMN_NAME_", target: "COLUMN_NAMES", type: "string" },
+  { prefix: "COLUMN_WIDTH_", target: "COLUMN_WIDTHS", type: "number" },
+  { prefix: "SOURCE_HEADER_", target: "SOURCE_HEADERS", type: "string" },
+  {
+    prefix: "AUTO_PROCESS_PROJECT_",
+    target: "AUTO_PROCESS_PROJECTS",
+    type: "boolean",
+  },
+  { prefix: "NOTIFY_PROJECT_", target: "NOTIFY_PROJECTS", type: "string" },
+];
+
+let currentSettings = null;
+let currentSettingsKey = "";
+const settingsRowsCache = new Map(); // 実行中に読み込んだ設定シートの値
+
+/**
+ * 現在の設定を取得する関数 (未読み込みの場合は案件の上書きなしで読み込む)
+ * @returns {object} - 設定情報のオブジェクト
+ */
+function getSettings() {
+  if (!currentSettings) useProjectSettings([]);
+  return currentSettings;
+}
+
+/**
+ * 対象フォルダの上書き設定を反映した設定を使うようにする関数
+ * 同じフォルダの設定を読み込み済みの場合は読み込み直さない
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @returns {object} - 設定情報のオブジェクト
+ */
+function useProjectSettings(folderIds) {
+  const profileName = getSelectedProfileName();
+  const key = JSON.stringify([profileName, folderIds || []]);
+  if (currentSettings && key === currentSettingsKey) return currentSettings;
+
+  const { settings, errors, warnings } = buildSettings(
+    profileName,
+    folderIds || []
+  );
+  warnings.forEach((warning) => console.warn(`設定の警告: ${warning}`));
+  if (errors.length > 0) {
+    throw new Error(`設定に問題があります:\n${errors.join("\n")}`);
+  }
+  currentSettings = settings;
+  currentSettingsKey = key;
+  return currentSettings;
+}
+
+/**
+ * 現在の設定の一部を、この実行中だけ上書きする関数
+ * 読み込んだ設定は変更せず、上書きした写しを現在の設定にする
+ * @param {object} overrides - 上書きするキーと値
+ * @returns {object} - 上書きした設定情報のオブジェクト
+ */
+function overrideCurrentSettings(overrides) {
+  currentSettings = Object.assign({}, getSettings(), overrides);
+  return currentSettings;
+}
+
+/**
+ * 設定シートと上書き設定を読み込み、検証した設定を作成する関数
+ * @param {string} profileName - プロファイル名 (空文字列の場合は「設定」シートのみ)
+ * @param {Array<string>} folderIds - 上書き設定を探すフォルダのIDの配列
+ * @returns {object} - 設定情報のオブジェクト、エラーと警告の配列 ({ settings, errors, warnings })
+ */
+function buildSettings(profileName, folderIds) {
+  const errors = [];
+  const warnings = [];
+  const projectSources = readProjectSettingsSources(folderIds);
+
+  // 案件の上書き設定でプロファイルが指定されていればそれを使う
+  projectSources.forEach((source) => {
+    const profileRow = source.rows.find((row) => row[0] === "PROFILE");
+    if (profileRow && profileRow[1] !== "") profileName = String(profileRow[1]);
+  });
+
+  const sources = [
+    {
+      label: SETTINGS_SHEET_NAME,
+      rows: readSettingsSheetRows(SETTINGS_SHEET_NAME),
+    },
+  ];
+  if (profileName) {
+    const sheetName = SETTINGS_PROFILE_SHEET_PREFIX + profileName;
+    const rows = readSettingsSheetRows(sheetName);
+    if (!rows) {
+      errors.push(`設定プロファイル「${profileName}」のシートがありません`);
+    }
+    sources.push({ label: sheetName, rows: rows || [] });
+  }
+  if (!sources[0].rows) {
+    throw new Error(`「${SETTINGS_SHEET_NAME}」シートが見つかりません`);
+  }
+
+  const settings = {};
+  SETTINGS_PREFIX_SCHEMA.forEach(({ target }) => (settings[target] = {}));
+  sources.concat(projectSources).forEach(({ label, rows }) => {
+    rows.forEach(([key, value]) => {
+      key = String(key).trim();
+      if (!/^[A-Z0-9_]+$/.test(key) || value === "" || value === null) return; // 見出し・空欄の行
+      const prefixSchema = SETTINGS_PREFIX_SCHEMA.find(({ prefix }) =>
+        key.startsWith(prefix)
+      );
+      const schema = prefixSchema || SETTINGS_SCHEMA[key];
+      if (!schema) {
+        warnings.push(`${label}: ${key}: 不明なキーです`);
+        return;
+      }
+      const { parsed, error } = parseSettingValue(value, schema);
+      if (error) {
+        errors.push(`${label}: ${key}: ${error} (値: ${value})`);
+      } else if (prefixSchema) {
+        settings[prefixSchema.target][key.replace(prefixSchema.prefix, "")] =
+          parsed;
+      } else {
+        settings[key] = parsed;
+      }
+    });
+  });
+
+  Object.keys(SETTINGS_SCHEMA)
+    .filter((key) => SETTINGS_SCHEMA[key].required && !(key in settings))
+    .forEach((key) => errors.push(`${key}: 必須のキーが指定されていません`));
+
+  settings.PROFILE = profileName;
+  return { settings, errors, warnings };
+}
+
+/**
+ * 設定の値をスキーマの型に変換する関数
+ * @param {*} value - セルの値
+ * @param {object} schema - キーのスキーマ ({ type, values })
+ * @returns {object} - 変換した値、または問題の内容 ({ parsed, error })
+ */
+function parseSettingValue(value, schema) {
+  let parsed;
+  switch (schema.type) {
+    case "number":
+      parsed = typeof value === "number" ? value : Number(String(value).trim());
+      if (!isFinite(parsed)) return { error: "数値ではありません" };
+      break;
+    case "boolean":
+      if (value === true || value === false) parsed = value;
+      else if (/^(TRUE|FALSE)$/i.test(String(value).trim()))
+        parsed = String(value).trim().toUpperCase() === "TRUE";
+      else return { error: "TRUE または FALSE を指定してください" };
+      break;
+    case "list":
+      if (!String(value).trim().startsWith("[")) {
+        parsed = [String(value)];
+        break;
+      }
+      try {
+        parsed = JSON.parse(value);
+      } catch (e) {
+        return { error: "JSON配列として解析できません" };
+      }
+      if (!Array.isArray(parsed))
+        return { error: "JSON配列として解析できません" };
+      break;
+    default:
+      parsed = String(value);
+      // 以前の設定シートはJSONで値を書いていたため、引用符で囲まれた値はJSON文字列として読む (例: "部品リスト")
+      if (/^\s*".*"\s*$/.test(parsed)) {
+        try {
+          parsed = String(JSON.parse(parsed.trim()));
+        } catch (e) {
+          // JSON文字列でない場合はそのまま使う
+        }
+      }
+  }
+  const items = schema.type === "list" ? parsed : [parsed];
+  if (schema.values && !items.every((item) => schema.values.includes(item))) {
+    return {
+      error: `${schema.values.join(" / ")} のいずれかを指定してください`,
+    };
+  }
+  return { parsed };
+}
+
+/**
+ * 設定スプレッドシートのシートの値を読み込む関数 (実行中は同じシートを読み直さない)
+ * @param {string} sheetName - シート名
+ * @returns {Array<Array<*>>|null} - シートの値 (シートがない場合は null)
+ */
+function readSettingsSheetRows(sheetName) {
+  if (!settingsRowsCache.has(sheetName)) {
+    const sheet = SpreadsheetApp.openById(
+      SETTINGS_SPREADSHEET_ID
+    ).getSheetByName(sheetName);
+    settingsRowsCache.set(
+      sheetName,
+      sheet ? sheet.getDataRange().getValues() : null
+    );
+  }
+  return settingsRowsCache.get(sheetName);
+}
+
+/**
+ * 対象フォルダ内の上書き設定ファイルを読み込む関数
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @returns {Array<object>} - 上書き設定の配列 ({ label, rows })
+ */
+function readProjectSettingsSources(folderIds) {
+  const sources = [];
+  folderIds.forEach((folderId) => {
+    const folder = DriveApp.getFolderById(folderId);
+    const files = folder.getFilesByName(PROJECT_SETTINGS_FILE_NAME);
+    while (files.hasNext()) {
+      const file = files.next();
+      if (file.getMimeType() !== MimeType.GOOGLE_SHEETS) continue;
+      sources.push({
+        label: `${folder.getName()}/${PROJECT_SETTINGS_FILE_NAME}`,
+        rows: SpreadsheetApp.openById(file.getId())
+          .getSheets()[0]
+          .getDataRange()
+          .getValues(),
+      });
+    }
+  });
+  return sources;
+}
+
+/**
+ * 選択中のプロファイル名を取得する関数
+ * @returns {string} - プロファイル名 (未選択の場合は空文字列)
+ */
+function getSelectedProfileName() {
+  return (
+    PropertiesService.getUserProperties().getProperty(
+      SETTINGS_PROFILE_PROPERTY_KEY
+    ) || ""
+  );
+}
+
+/**
+ * 設定スプレッドシートにあるプロファイル名の一覧を取得する関数
+ * @returns {Array<string>} - プロファイル名の配列
+ */
+function listSettingsProfiles() {
+  return SpreadsheetApp.openById(SETTINGS_SPREADSHEET_ID)
+    .getSheets()
+    .map((sheet) => sheet.getName())
+    .filter((name) => name.startsWith(SETTINGS_PROFILE_SHEET_PREFIX))
+    .map((name) => name.slice(SETTINGS_PROFILE_SHEET_PREFIX.length));
+}
+
+/**
+ * 使用するプロファイルをユーザーに選択してもらう関数 (メニューから実行)
+ */
+function selectSettingsProfile() {
+  const ui = SpreadsheetApp.getUi();
+  const profiles = listSettingsProfiles();
+  const response = ui.prompt(
+    "設定プロファイルの選択",
+    `使用するプロファイル名を入力してください (空欄の場合は「${SETTINGS_SHEET_NAME}」シートのみ)。\n` +
+      `プロファイル: ${profiles.join(", ") || "なし"}\n` +
+      `現在のプロファイル: ${getSelectedProfileName() || "なし"}`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (response.getSelectedButton() != ui.Button.OK) return;
+
+  const profileName = response.getResponseText().trim();
+  if (profileName && !profiles.includes(profileName)) {
+    ui.alert(`プロファイル「${profileName}」が見つかりません。`);
+    return;
+  }
+  const properties = PropertiesService.getUserProperties();
+  if (profileName) {
+    properties.setProperty(SETTINGS_PROFILE_PROPERTY_KEY, profileName);
+  } else {
+    properties.deleteProperty(SETTINGS_PROFILE_PROPERTY_KEY);
+  }
+  currentSettings = null;
+  showSettingsValidation();
+}
+
+/**
+ * 現在のプロファイルの設定を検証して結果を表示する関数 (メニューから実行)
+ */
+function showSettingsValidation() {
+  const profileName = getSelectedProfileName();
+  const { errors, warnings } = buildSettings(profileName, []);
+  const lines = [`プロファイル: ${profileName || "なし"}`];
+  if (errors.length === 0 && warnings.length === 0) {
+    lines.push("設定に問題はありません。");
+  }
+  if (errors.length > 0) lines.push("", "エラー:", ...errors);
+  if (warnings.length > 0) lines.push("", "警告:", ...warnings);
+  SpreadsheetApp.getUi().alert(
+    "設定の検証",
+    lines.join("\n"),
+    SpreadsheetApp.getUi().ButtonSet.OK
+  );
+}
@@ -0,0 +1,258 @@
+/**
+ * 実行結果のメール通知
+ * 結合・更新・バッチ処理の完了時と失敗時に、実行結果をメールで送ります。
+ * 宛先は設定シートの NOTIFY_PROJECT_<フォルダ名またはJナンバー> (カンマ区切りのメールアドレス) で案件ごとに指定し、
+ * NOTIFY_DEFAULT_RECIPIENTS の宛先にはすべての案件の通知を送ります。宛先がない場合は送信しません。
+ *
+ * 送信はメーラー ({ send({ to, subject, body }) }) を通して行います。
+ * setNotificationMailer で差し替えると、実際にメールを送らずに通知内容を確認できます。
+ */
+
+const NOTIFICATION_SUBJECT_PREFIX = "[部品リスト結合]";
+const NOTIFICATION_MAX_ISSUES = 20; // 本文に載せる検証の警告の件数
+
+let notificationMailer = null;
+
+/**
+ * MailApp でメールを送るメーラーを作成する関数
+ * @returns {object} - メーラー ({ send })
+ */
+function createMailAppMailer() {
+  return {
+    send({ to, subject, body }) {
+      MailApp.sendEmail({ to: to.join(","), subject, body });
+    },
+  };
+}
+
+/**
+ * 通知に使うメーラーを差し替える関数
+ * @param {object|null} mailer - メーラー ({ send })。null の場合は MailApp に戻す
+ */
+function setNotificationMailer(mailer) {
+  notificationMailer = mailer;
+}
+
+/**
+ * 通知に使うメーラーを取得する関数
+ * @returns {object} - メーラー ({ send })
+ */
+function getNotificationMailer() {
+  return notificationMailer || createMailAppMailer();
+}
+
+/**
+ * 実行結果を通知メールで送る関数
+ * 通知に失敗しても処理自体は失敗させない
+ * @param {string} action - 処理の種類 (RUN_LOG_ACTIONS)
+ * @param {Array<string>} folderIds - 選択されたフォルダのIDの配列
+ * @param {object|null} mergeData - collectMergeData の戻り値 (読み込み前に失敗した場合は null)
+ * @param {Array<string>} urls - 出力スプレッドシートのURLの配列
+ * @param {string} error - エラーメッセージ (成功時は空文字列)
+ */
+function notifyRunResult(action, folderIds, mergeData, urls, error) {
+  try {
+    const folderNames = getRunLogFolderNames(folderIds);
+    const recipients = resolveNotificationRecipients(folderNames);
+    if (recipients.length === 0) return;
+
+    const message = error
+      ? buildFailureNotification(action, folderNames, mergeData, error)
+      : buildSuccessNotification(action, folderNames, mergeData, urls);
+    getNotificationMailer().send(Object.assign({ to: recipients }, message));
+  } catch (e) {
+    console.error(`通知メールの送信に失敗: ${e.toString()}`);
+  }
+}
+
+/**
+ * 対象フォルダの通知先を設定から求める関数
+ * @param {Array<string>} folderNames - 対象フォルダ名の配列
+ * @returns {Array<string>} - 通知先のメールアドレスの配列 (重複なし)
+ */
+function resolveNotificationRecipients(folderNames) {
+  const projects = getSettings().NOTIFY_PROJECTS || {};
+  const recipients = parseNotificationRecipients(
+    getSettings().NOTIFY_DEFAULT_RECIPIENTS
+  );
+  folderNames.forEach((folderName) => {
+    const jNumber = extractJNumber(folderName);
+    if (folderName in projects) {
+      recipients.push(...parseNotificationRecipients(projects[folderName]));
+    } else if (jNumber && jNumber in projects) {
+      recipients.push(...parseNotificationRecipients(projects[jNumber]));
+    }
+  });
+  return Array.from(new Set(recipients));
+}
+
+/**
+ * 設定値のメールアドレスを配列にする関数
+ * @param {string|Array<string>} value - カンマ・セミコロン・空白区切りのメールアドレス、またはその配列
+ * @returns {Array<string>} - メールアドレスの配列
+ */
+function parseNotificationRecipients(value) {
+  if (!value) return [];
+  return []
+    .concat(value)
+    .join(",")
+    .split(/[,;\s]+/)
+    .filter((address) => address !== "");
+}
+
+/**
+ * 成功時の通知メールを作成する関数
+ * @param {string} action - 処理の種類 (RUN_LOG_ACTIONS)
+ * @param {Array<string>} folderNames - 対象フォルダ名の配列
+ * @param {object} mergeData - collectMergeData の戻り値
+ * @param {Array<string>} urls - 出力スプレッドシートのURLの配列
+ * @returns {object} - 件名と本文 ({ subject, body })
+ */
+function buildSuccessNotification(action, folderNames, mergeData, urls) {
+  const CATEGORY_INDEX = toCombinedIndex(OUTPUT_COLUMNS.CATEGORY);
+  const dataRows = mergeData.combinedDataRows.slice(1);
+  const issues = validateMergeData(
+    mergeData.combinedDataRows,
+    mergeData.rowSources || []
+  );
+
+  const lines = [
+    `${action}が完了しました。`,
+    "",
+    `対象フォルダ: ${folderNames.join(", ")}`,
+    "出力:",
+    ...urls.map((url) => `  ${url}`),
+    `処理ファイル数: ${mergeData.processedFiles}`,
+    `行数: ${dataRows.length}`,
+    `${getSettings().COLUMN_NAMES.D || "カテゴリ"}別の行数:`,
+    ...summarizeRows(dataRows, CATEGORY_INDEX, -1).map(
+      ({ key, count }) => `  ${key}: ${count}`
+    ),
+    "",
+    `検証の警告: ${issues.length}件`,
+    ...issues
+      .slice(0, NOTIFICATION_MAX_ISSUES)
+      .map(
+        ({ type, message, source }) =>
+          `  [${type}] ${message}${formatNotificationSource(source)}`
+      ),
+  ];
+  if (issues.length > NOTIFICATION_MAX_ISSUES) {
+    lines.push(
+      `  ほか${
+        issues.length - NOTIFICATION_MAX_ISSUES
+      }件 (検証シートを確認してください)`
+    );
+  }
+  lines.push(...formatRowRuleLines(mergeData));
+  lines.push(...formatFailedFileLines(mergeData));
+  lines.push(...formatRevisionConflictLines(mergeData));
+
+  return {
+    subject: `${NOTIFICATION_SUBJECT_PREFIX} ${action}完了: ${folderNames.join(
+      ", "
+    )}`,
+    body: lines.join("\n"),
+  };
+}
+
+/**
+ * 失敗時の通知メールを作成する関数
+ * @param {string} action - 処理の種類 (RUN_LOG_ACTIONS)
+ * @param {Array<string>} folderNames - 対象フォルダ名の配列
+ * @param {object|null} mergeData - collectMergeData の戻り値 (読み込み前に失敗した場合は null)
+ * @param {string} error - エラーメッセージ
+ * @returns {object} - 件名と本文 ({ subject, body })
+ */
+function buildFailureNotification(action, folderNames, mergeData, error) {
+  const lines = [
+    `${action}に失敗しました。`,
+    "",
+    `対象フォルダ: ${folderNames.join(", ")}`,
+    `エラー: ${error}`,
+    ...formatFailedFileLines(mergeData),
+    ...formatRevisionConflictLines(mergeData),
+  ];
+  return {
+    subject: `${NOTIFICATION_SUBJECT_PREFIX} ${action}失敗: ${folderNames.join(
+      ", "
+    )}`,
+    body: lines.join("\n"),
+  };
+}
+
+/**
+ * 読み込みに失敗したファイルの一覧を本文用の行にする関数
+ * @param {object|null} mergeData - collectMergeData の戻り値
+ * @returns {Array<string>} - 本文の行 (失敗したファイルがない場合は空)
+ */
+function formatFailedFileLines(mergeData) {
+  // processExcelFile で読み込めなかった理由 (置換・拡張子・有効行なしは除く)
+  const FAILED_REASONS = [
+    SKIP_REASONS.SHEET_NOT_FOUND,
+    SKIP_REASONS.READ_ERROR,
+    SKIP_REASONS.MISSING_COLUMNS,
+  ];
+  const failedReports = (mergeData ? mergeData.fileReports : []).filter(
+    (report) =>
+      !report.used &&
+      FAILED_REASONS.some((reason) => String(report.reason).startsWith(reason))
+  );
+  if (failedReports.length === 0) return [];
+  return [
+    "",
+    `読み込めなかったファイル: ${failedReports.length}件`,
+    ...failedReports.map(
+      (report) => `  ${report.folderPath}/${report.fileName}: ${report.reason}`
+    ),
+  ];
+}
+
+/**
+ * 行ルールで除外・変更した行数を本文用の行にする関数
+ * @param {object} mergeData - collectMergeData の戻り値
+ * @returns {Array<string>} - 本文の行 (除外・変更した行がない場合は空)
+ */
+function formatRowRuleLines(mergeData) {
+  const results = (mergeData.rowRuleResults || []).filter(
+    ({ removed, changed }) => removed > 0 || changed > 0
+  );
+  if (results.length === 0) return [];
+  return [
+    "",
+    "行ルール:",
+    ...results.map(
+      ({ rule, removed, changed }) =>
+        `  ${rule}: 除外 ${removed}行 / 変更 ${changed}行`
+    ),
+  ];
+}
+
+/**
+ * 版の競合の一覧を本文用の行にする関数
+ * @param {object|null} mergeData - collectMergeData の戻り値
+ * @returns {Array<string>} - 本文の行 (競合がない場合は空)
+ */
+function formatRevisionConflictLines(mergeData) {
+  const conflicts = mergeData ? mergeData.revisionConflicts || [] : [];
+  if (conflicts.length === 0) return [];
+  return [
+    "",
+    `版の競合: ${conflicts.length}件 (先に見つかったファイルを使用しました)`,
+    ...conflicts.map(
+      (conflict) =>
+        `  ${conflict.usedReport.fileName} / ${conflict.skippedReport.fileName} (${conflict.revision})`
+    ),
+  ];
+}
+
+/**
+ * 検証の警告の元ファイルを本文用の文字列にする関数
+ * @param {object} source - 元ファイルの情報 ({ folderPath, fileName, rowNumber })
+ * @returns {string} - " (フォルダ/ファイル名 行番号行目)" 形式の文字列 (不明な場合は空文字列)
+ */
+function formatNotificationSource(source) {
+  if (!source || !source.fileName) return "";
+  const rowText = source.rowNumber ? ` ${source.rowNumber}行目` : "";
+  return ` (${source.folderPath}/${source.fileName}${rowText})`;
+}
@@ -0,0 +1,184 @@
+/**
+ * 部品集約シート
+ * まとめて手配できるように、型式 (とメーカー) が同じ部品を1行にまとめ、全Unitの数量を合計して
+ * 出力スプレッドシートの「部品集約」シートに書き出します。設定 CONSOLIDATED_BOM が TRUE の場合だけ作成します。
+ *
+ * 同じ部品とみなす列は設定 CONSOLIDATED_MATCH_COLUMNS (出力列の配列、例: ["H", "G"]) で指定します。
+ * 未設定の場合は型式の列 (MODEL_COLUMN または列名が「型式」「品名」の列) と、列名に「メーカー」を含む列を使います。
+ * 型式の列が見つからない場合は、警告を出して部品集約シートを作成しません。
+ * 各行には、使用しているUnitごとの数量 (例: "03unit×2, 07unit×4") と元の行の部番を載せます。
+ */
+
+const CONSOLIDATED_BOM_SHEET_NAME = "部品集約";
+
+/**
+ * 部品集約シートを作成 (既存の場合は書き換え) する関数
+ * 設定 CONSOLIDATED_BOM が TRUE でない場合や同じ部品とみなす列がない場合は、既存の部品集約シートを削除する
+ * @param {Spreadsheet} spreadsheet - 出力先のスプレッドシート
+ * @param {Array<Array<*>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
+ */
+function writeConsolidatedBomSheet(spreadsheet, combinedDataRows) {
+  let sheet = spreadsheet.getSheetByName(CONSOLIDATED_BOM_SHEET_NAME);
+  const values = getSettings().CONSOLIDATED_BOM
+    ? buildConsolidatedBomTable(combinedDataRows)
+    : null;
+  if (!values) {
+    if (sheet) spreadsheet.deleteSheet(sheet);
+    return;
+  }
+  if (!sheet) sheet = spreadsheet.insertSheet(CONSOLIDATED_BOM_SHEET_NAME);
+  sheet.clear();
+
+  sheet.getRange(1, 1, values.length, values[0].length).setValues(values);
+  sheet
+    .getRange(1, 1, 1, values[0].length)
+    .setBackground("#f3f3f3")
+    .setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  sheet.autoResizeColumns(1, values[0].length);
+}
+
+/**
+ * 部品集約の表を作成する関数
+ * 同じ部品とみなす列がすべて空欄の行は集約せず、表の最後に行数を記載する
+ * @param {Array<Array<*>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
+ * @returns {Array<Array<*>>|null} - ヘッダー行を含む表 (すべての行は同じ列数)。同じ部品とみなす列がない場合は null
+ */
+function buildConsolidatedBomTable(combinedDataRows) {
+  const UNIT_INDEX = toCombinedIndex(OUTPUT_COLUMNS.UNIT);
+  const PART_NUMBER_INDEX = toCombinedIndex(OUTPUT_COLUMNS.PART_NUMBER);
+  const JNUMBER_INDEX = toCombinedIndex(OUTPUT_COLUMNS.JNUMBER);
+  const matchColumns = getConsolidatedMatchColumns();
+  if (matchColumns.length === 0) return null;
+  const matchIndexes = matchColumns.map((letter) =>
+    toCombinedIndex(convertColumnLettersToIndex(letter) + 1)
+  );
+  const quantityIndex = findCombinedIndexByColumnName(
+    getSettings().QUANTITY_COLUMN,
+    /数量/
+  );
+  const dataRows = combinedDataRows.slice(1);
+  // Jナンバーが複数ある場合は、Unitの表示にJナンバーを付けて区別する
+  const showJNumber =
+    new Set(dataRows.map((row) => row[JNUMBER_INDEX])).size > 1;
+
+  const itemsByKey = new Map();
+  let unmatchedRowCount = 0;
+  dataRows.forEach((row) => {
+    const matchValues = matchIndexes.map((index) => formatCellText(row[index]));
+    if (matchValues.every((value) => value === "")) {
+      unmatchedRowCount++;
+      return;
+    }
+    const key = matchValues
+      .map((value) => normalizeMatchValue(value.normalize("NFKC")))
+      .join("\t");
+    if (!itemsByKey.has(key)) {
+      itemsByKey.set(key, { matchValues, quantity: 0, units: new Map() });
+    }
+    const item = itemsByKey.get(key);
+
+    const unitLabel = formatConsolidatedUnit(
+      row[UNIT_INDEX],
+      showJNumber ? row[JNUMBER_INDEX] : ""
+    );
+    if (!item.units.has(unitLabel)) {
+      item.units.set(unitLabel, { quantity: 0, partNumbers: [] });
+    }
+    const unit = item.units.get(unitLabel);
+    const quantity = quantityIndex === -1 ? NaN : Number(row[quantityIndex]);
+    if (!isNaN(quantity)) {
+      item.quantity += quantity;
+      unit.quantity += quantity;
+    }
+    unit.partNumbers.push(formatCellText(row[PART_NUMBER_INDEX]));
+  });
+
+  const columnNames = getSettings().COLUMN_NAMES;
+  const headerRow = matchColumns
+    .map((letter) => columnNames[letter] || `${letter}列`)
+    .concat([
+      "数量合計",
+      `${columnNames.E || "Unit"}別の数量`,
+      `${columnNames.F || "部番"} (${columnNames.E || "Unit"}別)`,
+      "行数",
+    ]);
+  const rows = Array.from(itemsByKey.values())
+    .sort((a, b) =>
+      a.matchValues.join("\t").localeCompare(b.matchValues.join("\t"))
+    )
+    .map((item) => {
+      const unitLabels = sortSummaryKeys(Array.from(item.units.keys()));
+      return item.matchValues.concat([
+        quantityIndex === -1 ? "" : item.quantity,
+        unitLabels
+          .map((label) => `${label}×${item.units.get(label).quantity}`)
+          .join(", "),
+        unitLabels
+          .map(
+            (label) =>
+              `${label}: ${item.units.get(label).partNumbers.join(", ")}`
+          )
+          .join(" / "),
+        unitLabels.reduce(
+          (count, label) => count + item.units.get(label).partNumbers.length,
+          0
+        ),
+      ]);
+    });
+  if (unmatchedRowCount > 0) {
+    rows.push([
+      `${matchColumns.join(
+        "・"
+      )}列が空欄のため集約していない行: ${unmatchedRowCount}行`,
+    ]);
+  }
+  if (rows.length === 0) rows.push(["集約する部品はありません"]);
+
+  return [headerRow].concat(
+    rows.map((row) => row.concat(Array(headerRow.length - row.length).fill("")))
+  );
+}
+
+/**
+ * 同じ部品とみなす出力列を取得する関数
+ * @returns {Array<string>} - 出力列の配列 (例: ["H", "G"])。型式の列が見つからない場合は空の配列
+ */
+function getConsolidatedMatchColumns() {
+  // 指定された列は設定の読み込み時 (SETTINGS_SCHEMA) に検証済み
+  const configuredColumns = getSettings().CONSOLIDATED_MATCH_COLUMNS;
+  if (configuredColumns && configuredColumns.length > 0)
+    return configuredColumns;
+
+  const columnNames = getSettings().COLUMN_NAMES;
+  const modelIndex = findCombinedIndexByColumnName(
+    getSettings().MODEL_COLUMN,
+    /型式|品名/
+  );
+  if (modelIndex === -1) {
+    console.warn(
+      "部品集約に使う型式の列が見つからないため、部品集約シートを作成しません (CONSOLIDATED_MATCH_COLUMNS を設定してください)"
+    );
+    return [];
+  }
+  const modelLetter = String.fromCharCode("D".charCodeAt(0) + modelIndex);
+  const makerLetter = SOURCE_OUTPUT_COLUMN_LETTERS.find(
+    (letter) =>
+      letter !== modelLetter && /メーカー/.test(columnNames[letter] || "")
+  );
+  return makerLetter ? [modelLetter, makerLetter] : [modelLetter];
+}
+
+/**
+ * Unit番号を部品集約シートの表示 (例: "03unit") にする関数
+ * @param {*} unitNumber - Unit番号のセルの値
+ * @param {string} jNumber - 表示に付けるJナンバー (付けない場合は空文字列)
+ * @returns {string} - 表示用の文字列
+ */
+function formatConsolidatedUnit(unitNumber, jNumber) {
+  const text = formatCellText(unitNumber);
+  let label = "(なし)";
+  if (/^\d+$/.test(text)) label = `${text.padStart(2, "0")}unit`;
+  else if (text !== "") label = text;
+  return jNumber ? `${jNumber} ${label}` : label;
+}
@@ -0,0 +1,169 @@
+/**
+ * 集計シート
+ * 手配先・表面処理・カテゴリ・Unit番号ごとの行数と数量合計、カテゴリ × Unit番号の行数表を
+ * 出力スプレッドシートの「集計」シートに書き出します。出力を作り直すたびに再計算されます。
+ */
+
+const SUMMARY_SHEET_NAME = "集計";
+
+/**
+ * 集計シートを作成 (既存の場合は書き換え) する関数
+ * @param {Spreadsheet} spreadsheet - 出力先のスプレッドシート
+ * @param {Array<Array<*>>} combinedDataRows - 結合されたデータ（ヘッダー行を含む）
+ */
+function writeSummarySheet(spreadsheet, combinedDataRows) {
+  const CATEGORY_INDEX = toCombinedIndex(OUTPUT_COLUMNS.CATEGORY);
+  const UNIT_INDEX = toCombinedIndex(OUTPUT_COLUMNS.UNIT);
+  const dataRows = combinedDataRows.slice(1);
+  const columnNames = getSettings().COLUMN_NAMES;
+  const quantityIndex = findCombinedIndexByColumnName(
+    getSettings().QUANTITY_COLUMN,
+    /数量/
+  );
+
+  const sections = [
+    {
+      title: columnNames.K || "手配先",
+      totals: summarizeRows(
+        dataRows,
+        toCombinedIndex(OUTPUT_COLUMNS.SUPPLIER),
+        quantityIndex
+      ),
+    },
+    {
+      title: columnNames.J || "表面処理",
+      totals: summarizeRows(
+        dataRows,
+        toCombinedIndex(OUTPUT_COLUMNS.PROCESSING),
+        quantityIndex
+      ),
+    },
+    {
+      title: columnNames.D || "カテゴリ",
+      totals: summarizeRows(dataRows, CATEGORY_INDEX, quantityIndex),
+    },
+    {
+      title: columnNames.E || "Unit番号",
+      totals: summarizeRows(dataRows, UNIT_INDEX, quantityIndex),
+    },
+  ];
+
+  const values = [];
+  const titleRows = [];
+  sections.forEach(({ title, totals }) => {
+    titleRows.push(values.length + 1);
+    values.push([`${title}別`]);
+    values.push([title, "行数", "数量合計"]);
+    totals.forEach(({ key, count, quantity }) =>
+      values.push([key, count, quantityIndex === -1 ? "" : quantity])
+    );
+    values.push([]);
+  });
+
+  // カテゴリ × Unit番号 の行数表
+  const categories = sortSummaryKeys(
+    Array.from(
+      new Set(dataRows.map((row) => formatSummaryKey(row[CATEGORY_INDEX])))
+    )
+  );
+  const units = sortSummaryKeys(
+    Array.from(
+      new Set(dataRows.map((row) => formatSummaryKey(row[UNIT_INDEX])))
+    )
+  );
+  titleRows.push(values.length + 1);
+  values.push([
+    `${columnNames.D || "カテゴリ"} × ${columnNames.E || "Unit番号"}`,
+  ]);
+  values.push([""].concat(units, ["合計"]));
+  categories.forEach((category) => {
+    const categoryRows = dataRows.filter(
+      (row) => formatSummaryKey(row[CATEGORY_INDEX]) === category
+    );
+    const counts = units.map(
+      (unit) =>
+        categoryRows.filter((row) => formatSummaryKey(row[UNIT_INDEX]) === unit)
+          .length
+    );
+    values.push([category].concat(counts, [categoryRows.length]));
+  });
+  values.push(
+    ["合計"].concat(
+      units.map(
+        (unit) =>
+          dataRows.filter((row) => formatSummaryKey(row[UNIT_INDEX]) === unit)
+            .length
+      ),
+      [dataRows.length]
+    )
+  );
+
+  const sheet =
+    spreadsheet.getSheetByName(SUMMARY_SHEET_NAME) ||
+    spreadsheet.insertSheet(SUMMARY_SHEET_NAME);
+  sheet.clear();
+
+  const columnCount = Math.max(...values.map((row) => row.length));
+  const paddedValues = values.map((row) =>
+    row.concat(Array(columnCount - row.length).fill(""))
+  );
+  sheet
+    .getRange(1, 1, paddedValues.length, columnCount)
+    .setValues(paddedValues);
+  titleRows.forEach((row) => {
+    sheet.getRange(row, 1).setFontWeight("bold");
+    sheet
+      .getRange(row + 1, 1, 1, columnCount)
+      .setBackground("#f3f3f3")
+      .setFontWeight("bold");
+  });
+  sheet.autoResizeColumns(1, columnCount);
+}
+
+/**
+ * 指定した列の値ごとに行数と数量合計を求める関数
+ * @param {Array<Array<*>>} dataRows - データ行 (ヘッダー行を除く)
+ * @param {number} keyIndex - 集計する列のインデックス
+ * @param {number} quantityIndex - 数量列のインデックス (ない場合は -1)
+ * @returns {Array<object>} - 値ごとの集計 ({ key, count, quantity })
+ */
+function summarizeRows(dataRows, keyIndex, quantityIndex) {
+  const totalsByKey = new Map();
+  dataRows.forEach((row) => {
+    const key = formatSummaryKey(row[keyIndex]);
+    if (!totalsByKey.has(key))
+      totalsByKey.set(key, { key, count: 0, quantity: 0 });
+    const totals = totalsByKey.get(key);
+    totals.count++;
+    const quantity = quantityIndex === -1 ? NaN : Number(row[quantityIndex]);
+    if (!isNaN(quantity)) totals.quantity += quantity;
+  });
+  return sortSummaryKeys(Array.from(totalsByKey.keys())).map((key) =>
+    totalsByKey.get(key)
+  );
+}
+
+/**
+ * 集計キー用にセルの値を文字列にする関数
+ * @param {*} value - セルの値
+ * @returns {string} - 文字列 (空欄は "(なし)")
+ */
+function formatSummaryKey(value) {
+  return formatCellText(value) || "(なし)";
+}
+
+/**
+ * 集計キーを並べ替える関数 (数値は数値順、"(なし)" は最後)
+ * @param {Array<string>} keys - 集計キーの配列
+ * @returns {Array<string>} - 並べ替えたキーの配列
+ */
+function sortSummaryKeys(keys) {
+  return keys.sort((a, b) => {
+    if (a === "(なし)" || b === "(なし)")
+      return (a === "(なし)") - (b === "(なし)");
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (!isNaN(numberA) && !isNaN(numberB)) return numberA - numberB;
+    return a.localeCompare(b);
+  });
+}